@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+'use strict';
+//===============================================================
+// Convert a PNG or PBM/PGM/PPM image to a bitmap for the library.
+//
+//   npx ssd1315-bitmap logo.png --name logo --format page --out logo.js
+//
+// See USAGE below and lib/SSD1315_Bitmap.js.
+//===============================================================
+const fs = require("fs");
+const path = require("path");
+const {SSD1315_Bitmap} = require("../lib/SSD1315_Bitmap.js");
+
+const USAGE =
+    "Usage: ssd1315-bitmap <image> [options]\n" +
+    "\n" +
+    "  --name <id>           identifier prefix (default: image file name)\n" +
+    "  --format row|page     data layout (default: row)\n" +
+    "                          row  - MSB-first rows for draw1BitBitmap()\n" +
+    "                          page - LSB-top column bytes, as in GDDRAM\n" +
+    "  --type cjs|esm|c|binary\n" +
+    "                        output type (default: from --out, else cjs)\n" +
+    "  --out <file>          write to file instead of stdout\n" +
+    "  --crop x,y,w,h        crop the image before converting\n" +
+    "  --width <n>           scale to width\n" +
+    "  --height <n>          scale to height\n" +
+    "  --threshold <n>       luminance at which a pixel is lit (default: 128)\n" +
+    "  --dither <method>     threshold, floyd-steinberg, atkinson or bayer\n" +
+    "  --invert              light dark pixels instead\n" +
+    "  --help                show this help\n";
+
+// Output type implied by the extension of --out.
+const OUTPUT_EXTENSIONS = Object.freeze({
+    ".js": "cjs", ".cjs": "cjs", ".mjs": "esm", ".h": "c", ".bin": "binary"
+});
+
+const VALUE_OPTIONS = Object.freeze(["name", "format", "type", "out", "crop", "width", "height", "threshold", "dither"]);
+
+
+function integerArgument(value, option) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error("Invalid --" + option + " specified");
+    }
+    return parseInt(value, 10);
+}
+
+
+function parseArguments(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if ((arg === "--help") || (arg === "-h")) {
+            args.help = true;
+        } else if (arg === "--invert") {
+            args.invert = true;
+        } else if (arg.startsWith("--")) {
+            const option = arg.slice(2);
+            if (!VALUE_OPTIONS.includes(option)) {
+                throw new Error("Unknown option " + arg);
+            }
+            if (i + 1 >= argv.length) {
+                throw new Error("Missing value for " + arg);
+            }
+            args[option] = argv[++i];
+        } else if (args.image === undefined) {
+            args.image = arg;
+        } else {
+            throw new Error("Unexpected argument " + arg);
+        }
+    }
+    return args;
+}
+
+
+function bitmapOptions(args) {
+    const options = {
+        name: args.name !== undefined ? args.name : path.basename(args.image, path.extname(args.image)).replace(/[^A-Za-z0-9_$]/g, "_"),
+        invert: !!args.invert
+    };
+    if (args.format !== undefined) {
+        options.format = args.format;
+    }
+    if (args.type !== undefined) {
+        options.output = args.type;
+    } else if (args.out !== undefined) {
+        options.output = OUTPUT_EXTENSIONS[path.extname(args.out).toLowerCase()] || "cjs";
+    }
+    if (args.crop !== undefined) {
+        const parts = args.crop.split(",");
+        if (parts.length !== 4) {
+            throw new Error("Invalid --crop specified");
+        }
+        const [x, y, width, height] = parts.map(part => integerArgument(part, "crop"));
+        options.crop = {x, y, width, height};
+    }
+    for (const option of ["width", "height", "threshold"]) {
+        if (args[option] !== undefined) {
+            options[option] = integerArgument(args[option], option);
+        }
+    }
+    if (args.dither !== undefined) {
+        options.dither = args.dither;
+    }
+    return options;
+}
+
+
+function main(argv) {
+    const args = parseArguments(argv);
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (args.image === undefined) {
+        throw new Error("No image specified");
+    }
+    const result = SSD1315_Bitmap.generateBitmap(fs.readFileSync(args.image), bitmapOptions(args));
+    if (args.out !== undefined) {
+        fs.writeFileSync(args.out, result);
+    } else {
+        process.stdout.write(result);
+    }
+}
+
+
+try {
+    main(process.argv.slice(2));
+} catch (err) {
+    process.stderr.write("ssd1315-bitmap: " + err.message + "\n\n" + USAGE);
+    process.exitCode = 1;
+}
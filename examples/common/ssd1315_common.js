@@ -268,21 +268,21 @@ async function testScrollText(display, loop_delay = 35) {
     await delay(100);
 
     // Scroll in various directions, pausing in-between:
-    await display.startscrollright(0x00, 0x0F);
+    await display.startscrollright();
     await delay(2000);
     await display.stopscroll();
     await delay(1000);
-    await display.startscrollleft(0x00, 0x0F);
+    await display.startscrollleft();
     await delay(2000);
     await display.stopscroll();
     await delay(1000);
-    await display.startscrolldiagright(0x00, 0x07);
+    await display.startscrolldiagright();
     await delay(2000);
-    await display.startscrolldiagleft(0x00, 0x07);
+    await display.startscrolldiagleft();
     await delay(2000);
     await display.stopscroll();
     await delay(1000);
-    await display.startscrollup(0x00, 0x07);
+    await display.startscrollup();
     await delay(2000);
     await display.stopscroll();
     await delay(1000);
@@ -377,6 +377,45 @@ async function testAnimate(display, bitmap, bitmapWidth, bitmapHeight, animateTi
     }
 }
 
+
+// Same snowflakes as testAnimate() but driven by the display render loop so
+// the frame rate stays steady regardless of how long drawing takes.
+async function testAnimateRenderLoop(display, bitmap, bitmapWidth, bitmapHeight, animateTimeMs, fps = 10) {
+    const NUMFLAKES = 10; // Number of snowflakes in the animation example
+
+    const w = display.width(), h = display.height();
+    const icons = [];
+    for (let f = 0; f < NUMFLAKES; f++) {
+        icons.push({x: randomInteger(1 - bitmapWidth, w), y: -bitmapHeight, dy: randomInteger(1, 6)});
+    }
+
+    const drawFrame = () => {
+        display.clearDisplay();
+        for (const icon of icons) {
+            display.draw1BitBitmap(icon.x, icon.y, bitmap, bitmapWidth, bitmapHeight, SSD1315_WHITE);
+            icon.y += icon.dy;
+            if (icon.y >= h) {
+                icon.x = randomInteger(1 - bitmapWidth, w);
+                icon.y = -bitmapHeight;
+                icon.dy = randomInteger(1, 6);
+            }
+        }
+        display.requestFrame(drawFrame);
+    };
+
+    let failure = null;
+    display.startRenderLoop({fps, onError: err => failure = err});
+    display.requestFrame(drawFrame);
+    await delay(animateTimeMs);
+    const stats = display.getFrameStats();
+    await display.stopRenderLoop();
+    if (failure) {
+        throw failure;
+    }
+    return stats;
+}
+
+
 module.exports = {
     testDrawLine,
     testDrawRect,
@@ -392,6 +431,7 @@ module.exports = {
     testScrollText,
     testDrawBitmap,
     testAnimate,
+    testAnimateRenderLoop,
     LOGO_BMP,
     LOGO_HEIGHT,
     LOGO_WIDTH
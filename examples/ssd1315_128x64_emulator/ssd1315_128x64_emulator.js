@@ -0,0 +1,61 @@
+/**************************************************************************
+ This is an example Monochrome OLEDs based on SSD1315 driver adapted from 
+ SSD1306 Adafruit Driver.
+
+ Runs the driver against the in-memory SSD1315 emulator so no panel needs
+ to be attached.  The emulated glass is printed to the terminal.
+
+ Adopted to NodeJS by Lyndel R. McGee
+
+ BSD license, check license.txt for more information
+ All text above, and the splash screen below must be
+ included in any redistribution.
+ **************************************************************************/
+'use strict';
+const BASE_PATH = "../../";
+const {Adafruit_SSD1315, Mixin_SSD1315_Emulator, Adafruit_SSD1315_Colors} = require(BASE_PATH + "index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+const {
+    testAnimateRenderLoop,
+    LOGO_BMP,
+    LOGO_HEIGHT,
+    LOGO_WIDTH
+} = require("../common/ssd1315_common");
+
+
+// Use mixin to bind emulator implementation to SSD1315 class.
+class Adafruit_SSD1315_Emulated extends Mixin_SSD1315_Emulator(Adafruit_SSD1315) {}
+
+
+async function main() {
+    const displayOptions = {
+        width:128,
+        height:64,
+        rotation:0
+    }
+
+    const display = new Adafruit_SSD1315_Emulated(displayOptions);
+    // Startup display - same as original adafruit begin() but options specified in the constructor.
+    await display.startup();
+    console.log(display.getEmulator().toString());
+    console.log();
+
+    await display.clearDisplay()
+                 .drawRect(0, 0, display.width(), display.height(), SSD1315_WHITE)
+                 .setTextSize(2)
+                 .setTextColor(SSD1315_WHITE)
+                 .setCursor(10, 24)
+                 .println("Emulated")
+                 .display();
+    console.log(display.getEmulator().toString());
+    console.log(display.getEmulator().stats);
+
+    // Do 3 seconds of animation at 20 frames per second.
+    const frameStats = await testAnimateRenderLoop(display, LOGO_BMP, LOGO_WIDTH, LOGO_HEIGHT, 3000, 20);
+    console.log(display.getEmulator().toString());
+    console.log(frameStats);
+
+    await display.shutdown();
+}
+main();
@@ -2,4 +2,11 @@
 const LIB_LOCATION = "./lib/";
 
 const Adafruit_SSD1315_Module = require(LIB_LOCATION + "Adafruit_SSD1315.js");
-module.exports = {...Adafruit_SSD1315_Module}
+const Mixin_SSD1315_Emulator_Module = require(LIB_LOCATION + "Mixin_SSD1315_Emulator.js");
+const Image_Codec_Module = require(LIB_LOCATION + "Image_Codec.js");
+const Image_Dither_Module = require(LIB_LOCATION + "Image_Dither.js");
+const SSD1315_Bitmap_Module = require(LIB_LOCATION + "SSD1315_Bitmap.js");
+const SSD1315_Snapshot_Module = require(LIB_LOCATION + "SSD1315_Snapshot.js");
+const SSD1315_Ticker_Module = require(LIB_LOCATION + "SSD1315_Ticker.js");
+module.exports = {...Adafruit_SSD1315_Module, ...Mixin_SSD1315_Emulator_Module, ...Image_Codec_Module, ...Image_Dither_Module,
+                  ...SSD1315_Bitmap_Module, ...SSD1315_Snapshot_Module, ...SSD1315_Ticker_Module}
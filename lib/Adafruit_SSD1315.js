@@ -42,6 +42,10 @@
 const Adafruit_GFX_Library = require("@lynniemagoo/adafruit-gfx-library");
 const Adafruit_GrayOLED = Adafruit_GFX_Library.Display.Adafruit_GrayOLED;
 const {sleepMs, extractOption} = Adafruit_GFX_Library.Utils;
+const {SSD1315_Ticker} = require("./SSD1315_Ticker.js");
+const {Image_Codec} = require("./Image_Codec.js");
+const {Image_Dither} = require("./Image_Dither.js");
+const {SSD1315_Bitmap} = require("./SSD1315_Bitmap.js");
 const delay = sleepMs;
 
 const splash1 = {width:0,height:0,data:null};
@@ -66,6 +70,31 @@ const toInt = Math.trunc,
       fMin = Math.min,
       fMax = Math.max;
 
+// Remove an inclusive rectangle from a list of regions.  Partially covered
+// regions are cut into the pieces that remain outside of the rectangle.
+const subtractRect = (regions, rect) => {
+    const remaining = [];
+    regions.forEach(r => {
+        if ((r.x2 < rect.x1) || (r.x1 > rect.x2) || (r.y2 < rect.y1) || (r.y1 > rect.y2)) {
+            remaining.push(r);
+            return;
+        }
+        // Rows above and below the rectangle, then columns left and right of it.
+        (r.y1 < rect.y1) && remaining.push({x1: r.x1, y1: r.y1, x2: r.x2, y2: rect.y1 - 1});
+        (r.y2 > rect.y2) && remaining.push({x1: r.x1, y1: rect.y2 + 1, x2: r.x2, y2: r.y2});
+        const y1 = fMax(r.y1, rect.y1), y2 = fMin(r.y2, rect.y2);
+        (r.x1 < rect.x1) && remaining.push({x1: r.x1, y1, x2: rect.x1 - 1, y2});
+        (r.x2 > rect.x2) && remaining.push({x1: rect.x2 + 1, y1, x2: r.x2, y2});
+    });
+    return remaining;
+};
+
+// Monotonic clock in milliseconds used for frame timing.
+const nowMs = () => {
+    const t = process.hrtime();
+    return t[0] * 1e3 + t[1] / 1e6;
+};
+
 //==========================================================================================================================================
 //==========================================================================================================================================
 // SSD1315 Display Instructions from Datasheet.
@@ -74,11 +103,14 @@ const toInt = Math.trunc,
 const SSD1315_MEMORY_MODE                          = 0x20; // 0x02 [reset] 0x00 - Horizontal addressing; 0x01 - Vertical addressing 0x02 - Page Addressing; 0x03 - Invalid
 const SSD1315_COLUMN_ADDR                          = 0x21; // Used only when Memory Mode = 0x00 or 0x01 (start 0x00 end 0x7F [reset]);
 const SSD1315_PAGE_ADDR                            = 0x22; // Used only when Memory Mode = 0x00 or 0x01 (start 0x00 end 0x07 [reset]);
+const SSD1315_SET_FADE_BLINK                       = 0x23; // A[5:4] 00b - Disabled [reset]; 10b - Fade Out; 11b - Blink.  A[3:0] interval of 8 x (A[3:0] + 1) frames
 
 const SSD1315_RIGHT_HORIZONTAL_SCROLL              = 0x26;
 const SSD1315_LEFT_HORIZONTAL_SCROLL               = 0x27;
 const SSD1315_VERTICAL_AND_RIGHT_HORIZONTAL_SCROLL = 0x29;
 const SSD1315_VERTICAL_AND_LEFT_HORIZONTAL_SCROLL  = 0x2A;
+const SSD1315_CONTENT_SCROLL_RIGHT                 = 0x2C; // One column, then stops.  Allow 2 frames before the next one.
+const SSD1315_CONTENT_SCROLL_LEFT                  = 0x2D;
 const SSD1315_DEACTIVATE_SCROLL                    = 0x2E;
 const SSD1315_ACTIVATE_SCROLL                      = 0x2F;
 
@@ -95,6 +127,7 @@ const SSD1315_NORMAL_DISPLAY                       = 0xA6;
 const SSD1315_INVERT_DISPLAY                       = 0xA7;
 
 const SSD1315_SET_MULTIPLEX                        = 0xA8;
+const SSD1315_SET_IREF                             = 0xAD; // 0x00 - External IREF [reset]; 0x10 - Internal 19.5uA; 0x30 - Internal 30uA
 
 const SSD1315_DISPLAY_OFF                          = 0xAE;
 const SSD1315_DISPLAY_ON                           = 0xAF;
@@ -108,6 +141,7 @@ const SSD1315_SET_DISPLAY_OFFSET                   = 0xD3; // sets the offset of
 const SSD1315_SET_DISPLAY_CLOCK_DIV                = 0xD5; // Default is Osc Freq 1000b and Divide ratio 0000b - 1000000b
 const SSD1315_SET_PRECHARGE                        = 0xD9; // 0x22 (Default)
 const SSD1315_SET_COM_PINS                         = 0xDA; // 0x12 (Default)
+const SSD1315_SET_ZOOM                             = 0xD6; // 0x00 - Zoom disabled [reset]; 0x01 - Zoom in enabled
 const SSD1315_SET_VCOM_DETECT                      = 0xDB; // 0x00 - ~ 0.65, 0x10 ~ 0.71, 0x20 - ~ 0.77 (Default), 0x30 - ~ 0.83 - Value x VCC
 
 //==========================================================================================================================================
@@ -115,27 +149,285 @@ const SSD1315_SET_VCOM_DETECT                      = 0xDB; // 0x00 - ~ 0.65, 0x1
 const SSD1315_EXTERNALVCC = 0x01;  ///< External display voltage source
 const SSD1315_SWITCHCAPVCC = 0x02; ///< Gen. display voltage from 3.3V
 const ST_CMD_DELAY = 0x80 // special signifier for command lists
+const SSD1315_GDDRAM_ROWS = 64;    ///< Rows of GDDRAM the display start line wraps around
+const SSD1315_GDDRAM_COLUMNS = 128; ///< Columns of GDDRAM, one per segment
+
+// Mode bits of SSD1315_SET_FADE_BLINK.
+const SSD1315_FADE_BLINK_DISABLE = 0x00;
+const SSD1315_FADE_OUT = 0x20;
+const SSD1315_BLINK = 0x30;
+
+// Brightness levels (0..100) are mapped to contrast with this gamma.
+const SSD1315_BRIGHTNESS_GAMMA = 2.2;
+// Below this level precharge and VCOMH are lowered too for a darker panel.
+const SSD1315_BRIGHTNESS_LOW_LEVEL = 20;
+const SSD1315_BRIGHTNESS_LOW_PRECHARGE = 0x11;
+const SSD1315_BRIGHTNESS_LOW_VCOMH = 0x00;
+// Interval between contrast updates in fadeTo().
+const SSD1315_FADE_STEP_MS = 20;
+
+// Charge pump settings of SSD1315_CHARGE_PUMP by pump voltage.
+const SSD1315_CHARGE_PUMP_VOLTAGES = Object.freeze({
+    "6": 0x15,
+    "7.5": 0x14,
+    "8.5": 0x94,
+    "9": 0x95
+});
+// Charge pump setting with EXTERNALVCC - pump disabled.
+const SSD1315_CHARGE_PUMP_DISABLE = 0x10;
+// Datasheet delays of sleep() after the panel and charge pump are off, and
+// of wake() for the charge pump to settle after DISPLAY_ON.
+const SSD1315_POWER_OFF_DELAY_MS = 100;
+const SSD1315_POWER_ON_DELAY_MS = 100;
+// Modes of drawPageBitmap().
+const SSD1315_BLIT_MODES = Object.freeze(["copy", "or", "and", "xor"]);
+// Duration of splash animation frames without durationMs.
+const SSD1315_SPLASH_FRAME_MS = 100;
+
+// IREF settings of SSD1315_SET_IREF by selection.
+const SSD1315_IREF_SELECTIONS = Object.freeze({
+    "external": 0x00,
+    "19.5uA": 0x10,
+    "30uA": 0x30
+});
+
+
+// Validate and encode the SET_DISPLAY_CLOCK_DIV setting.
+function clockDivSetting(frequency, divide) {
+    if (!Number.isInteger(frequency) || (frequency < 0) || (frequency > 0x0F)) {
+        throw new Error("Invalid oscillator frequency specified");
+    }
+    if (!Number.isInteger(divide) || (divide < 1) || (divide > 16)) {
+        throw new Error("Invalid clock divide ratio specified");
+    }
+    return (frequency << 4) | (divide - 1);
+}
+
+
+// Validate and encode the SET_PRECHARGE setting.
+function prechargeSetting(phase1, phase2) {
+    if (!Number.isInteger(phase1) || !Number.isInteger(phase2) ||
+        (phase1 < 1) || (phase1 > 0x0F) || (phase2 < 1) || (phase2 > 0x0F)) {
+        throw new Error("Invalid precharge period specified");
+    }
+    return (phase2 << 4) | phase1;
+}
+
+
+// Validate the SET_VCOM_DETECT setting.
+function vcomhSetting(level) {
+    if (!Number.isInteger(level) || ((level & ~0x30) !== 0)) {
+        throw new Error("Invalid VCOMH level specified");
+    }
+    return level;
+}
+
+
+// Validate and encode the CHARGE_PUMP setting.
+function chargePumpSetting(voltage) {
+    if (!SSD1315_CHARGE_PUMP_VOLTAGES.hasOwnProperty(String(voltage))) {
+        throw new Error("Invalid charge pump voltage specified");
+    }
+    return SSD1315_CHARGE_PUMP_VOLTAGES[String(voltage)];
+}
+
+
+// Validate and encode the SET_IREF setting.
+function irefSetting(selection) {
+    if (!SSD1315_IREF_SELECTIONS.hasOwnProperty(selection)) {
+        throw new Error("Invalid IREF selection specified");
+    }
+    return SSD1315_IREF_SELECTIONS[selection];
+}
+
+
+// Validate the idle time of setIdleSleep().
+function idleSleepSetting(ms) {
+    if ((typeof ms !== "number") || !(ms >= 0) || !Number.isFinite(ms)) {
+        throw new Error("Invalid idle sleep timeout specified");
+    }
+    return ms;
+}
+
+
+// Normalize one splash image of the splash option to a row bitmap
+// {width, height, data} or a draw function.
+function splashImageSetting(image) {
+    if (typeof image === "function") {
+        return image;
+    }
+    if ((image instanceof Uint8Array) || (image instanceof ArrayBuffer)) {
+        const frame = SSD1315_Bitmap.imageToBitmap(image);
+        return {width: frame.width, height: frame.height, data: SSD1315_Bitmap.packRows(frame)};
+    }
+    if (image && (typeof image === "object")) {
+        // Module generated by ssd1315-bitmap - {<name>_width, <name>_height, <name>_data}.
+        const key = Object.keys(image).find(key => key.endsWith("_data"));
+        if (!image.data && key) {
+            const name = key.slice(0, -5);
+            image = {width: image[name + "_width"], height: image[name + "_height"], data: image[key]};
+        }
+        const {width, height, data} = image;
+        if (Number.isInteger(width) && Number.isInteger(height) && (width > 0) && (height > 0) &&
+            data && (data.length >= toInt((width + 7) / 8) * height)) {
+            return {width, height, data};
+        }
+    }
+    throw new Error("Invalid splash specified");
+}
+
+
+// Normalize the splash option to a list of frames {image, durationMs}.  A
+// single image has no duration of its own.
+function splashSetting(splash) {
+    if (!Array.isArray(splash)) {
+        return [{image: splashImageSetting(splash), durationMs: 0}];
+    }
+    const frames = splash;
+    if (!frames.length) {
+        throw new Error("Invalid splash specified");
+    }
+    return frames.map(frame => {
+        if (!frame || (typeof frame !== "object") || !frame.hasOwnProperty("image")) {
+            throw new Error("Invalid splash frame specified");
+        }
+        const durationMs = frame.hasOwnProperty("durationMs") ? frame.durationMs : SSD1315_SPLASH_FRAME_MS;
+        if (!Number.isInteger(durationMs) || (durationMs <= 0)) {
+            throw new Error("Invalid splash frame duration specified");
+        }
+        return {image: splashImageSetting(frame.image), durationMs};
+    });
+}
+
+// Frame interval codes of the scroll setup commands indexed by scroll speed,
+// slowest (128 frames per step) to fastest (2 frames per step).
+const SSD1315_SCROLL_SPEED_FRAMES = [
+    0x03, // 128 frames
+    0x02, // 64 frames
+    0x01, // 32 frames
+    0x00, // 6 frames
+    0x06, // 5 frames
+    0x05, // 4 frames
+    0x04, // 3 frames
+    0x07  // 2 frames
+];
+
+// Braille pattern characters for toBraille() - the bit of each dot is
+// indexed by its [x, y] position within the 2x4 cell.
+const SSD1315_BRAILLE_BASE = 0x2800;
+const SSD1315_BRAILLE_DOTS = [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2], [0, 3], [1, 3]];
+
+// Logical scroll directions as x (right) and y (down) steps.
+const SSD1315_SCROLL_DIRECTIONS = Object.freeze({
+    "left":           [-1,  0],
+    "right":          [ 1,  0],
+    "up":             [ 0, -1],
+    "down":           [ 0,  1],
+    "left diagonal":  [-1, -1],
+    "right diagonal": [ 1, -1]
+});
 
 const SSD1315_INIT_SEQ_1 = [
-    SSD1315_DISPLAY_OFF,
-    SSD1315_SET_DISPLAY_CLOCK_DIV, 0x80 // Default is Osc Freq 1000b and Divide ratio 0000b - 1000000b
+    SSD1315_DISPLAY_OFF
 ];
 
+// Followed by the segment remap and COM scan direction - see setFlipX()/setFlipY().
 const SSD1315_INIT_SEQ_2 = [
-    SSD1315_MEMORY_MODE, 0x00,      
-    SSD1315_SEG_REMAP_FLIP,         // Segment Remap Flip
-    SSD1315_COM_SCAN_DEC,           // Com Scan DEC
-    SSD1315_SET_VCOM_DETECT, 0x20,  
+    SSD1315_MEMORY_MODE, 0x00
 ];
 
 
 const SSD1315_INIT_SEQ_3 = [
     SSD1315_DISPLAY_ALL_ON_RESUME,  // DisplayAllOnResume
     SSD1315_NORMAL_DISPLAY,         // NormalDisplay
-    SSD1315_DEACTIVATE_SCROLL       // DeactivateScroll
+    SSD1315_DEACTIVATE_SCROLL,      // DeactivateScroll
+    SSD1315_SET_FADE_BLINK, 0x00,   // Fade/Blink off
+    SSD1315_SET_ZOOM, 0x00          // Zoom off
 ];
 
 
+// Build a panel profile - fields not given take the values of a generic
+// panel of that size.
+const panelProfile = (width, height, fields) => Object.freeze(Object.assign({
+    width,
+    height,
+    multiplex: height - 1,          // SET_MULTIPLEX - rows driven - 1
+    comPins: 0x02,                  // SET_COM_PINS - 0x02 sequential, 0x12 alternative
+    colOffset: 0,                   // First GDDRAM column wired to the glass
+    pageOffset: 0,                  // First GDDRAM page wired to the glass
+    clockDiv: 0x80,                 // SET_DISPLAY_CLOCK_DIV
+    precharge: 0xF1,                // SET_PRECHARGE with SWITCHCAPVCC
+    externalPrecharge: 0x22,        // SET_PRECHARGE with EXTERNALVCC
+    vcomh: 0x20,                    // SET_VCOM_DETECT
+    contrast: 0x8F,                 // SET_CONTRAST with SWITCHCAPVCC
+    externalContrast: 0x8F          // SET_CONTRAST with EXTERNALVCC
+}, fields));
+
+// Named panel profiles for the `panel` option.
+const SSD1315_Panels = Object.freeze({
+    "128x64": panelProfile(128, 64, {comPins: 0x12, contrast: 0xCF, externalContrast: 0x9F}),
+    "128x32": panelProfile(128, 32, {}),
+    "96x16":  panelProfile(96, 16, {contrast: 0xAF, externalContrast: 0x10}),
+    "64x48":  panelProfile(64, 48, {comPins: 0x12, colOffset: 32}),
+    "72x40":  panelProfile(72, 40, {comPins: 0x12, colOffset: 28}),
+    "64x32":  panelProfile(64, 32, {comPins: 0x12, colOffset: 32})
+});
+
+
+// Resolve the panel profile for the constructor options.  `panel` is a
+// profile name or an object with an optional `profile` name and fields
+// overriding it.  Without a name, the profile matching width x height is
+// used.  The width, height, colOffset and pageOffset options override the
+// profile as well, a height other than the profile's also sets the
+// multiplex unless that is overridden too.
+function resolvePanel(options) {
+    options = Object.assign({}, options);
+    // Options explicitly set to undefined fall back to the profile.
+    Object.keys(options).forEach(key => (options[key] === undefined) && delete options[key]);
+    let panel = extractOption(options, "panel", null), name = null, overrides = {};
+    if (typeof panel === "string") {
+        name = panel;
+    } else if (panel && (typeof panel === "object")) {
+        overrides = Object.assign({}, panel);
+        name = extractOption(overrides, "profile", null);
+        delete overrides.profile;
+    } else if (panel !== null) {
+        throw new Error("Invalid panel specified");
+    }
+    if ((name !== null) && !SSD1315_Panels.hasOwnProperty(name)) {
+        throw new Error("Unknown panel profile " + name);
+    }
+
+    const width = extractOption(options, "width", name ? SSD1315_Panels[name].width : 128),
+          height = extractOption(options, "height", name ? SSD1315_Panels[name].height : 64);
+    name = (name !== null) ? name : (width + "x" + height);
+    const base = SSD1315_Panels.hasOwnProperty(name) ? SSD1315_Panels[name] : panelProfile(width, height, {});
+    const profile = Object.assign({}, base, overrides, {width, height});
+    if ((height !== base.height) && !overrides.hasOwnProperty("multiplex")) {
+        profile.multiplex = height - 1;
+    }
+    options.hasOwnProperty("colOffset") && (profile.colOffset = options.colOffset);
+    options.hasOwnProperty("pageOffset") && (profile.pageOffset = options.pageOffset);
+
+    const check = (field, min, max) => {
+        const value = profile[field];
+        if (!Number.isInteger(value) || (value < min) || (value > max)) {
+            throw new Error("Invalid panel " + field + " specified");
+        }
+    };
+    check("width", 1, 128);
+    check("height", 1, 64);
+    check("multiplex", 15, 63);
+    check("colOffset", 0, 128 - width);
+    check("pageOffset", 0, 8 - Math.ceil(height / 8));
+    ["comPins", "clockDiv", "precharge", "externalPrecharge", "vcomh", "contrast", "externalContrast"].forEach(field => check(field, 0, 0xFF));
+    if ((profile.comPins & ~0x30) !== 0x02) {
+        throw new Error("Invalid panel comPins specified");
+    }
+    return Object.freeze(profile);
+}
+
+
 const SSD1315_BLACK = 0;
 const SSD1315_WHITE = 1;
 const SSD1315_INVERSE = 2;
@@ -161,14 +453,92 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
                    voltage (step up) from the 3.3V source, or SSD1315_EXTERNALVCC (x01)
                    otherwise. Most situations with Adafruit SSD1315 breakouts will
                    want SSD1315_SWITCHCAPVCC.
+
+                options.maxTransferBytes (default 0 - unlimited)
+                   Largest number of bytes passed to oled_data() in one call.
+                   Use on I2C adapters or kernel drivers that reject or
+                   truncate larger writes (e.g. 32 or 255).
+
+                options.shadowDiff (default false)
+                   Keep a copy of what was last sent to the panel and have
+                   display() only transmit byte runs that changed.
+                options.diffMergeGap (default 4)
+                   Runs of changed bytes on a page separated by at most this
+                   many unchanged bytes are sent as one run.
+                options.diffMaxRuns (default 16)
+                   When a flush would need more runs than this, the dirty
+                   window is sent as a block instead.
+
+                options.maxDirtyRegions (default 4)
+                   Number of separate dirty rectangles tracked between calls
+                   to display(), and of separate spans kept on each page for
+                   pixels and text.  Overlapping regions are merged and when
+                   there are too many, the closest ones are merged.
+
+                options.doubleBuffer (default false)
+                   Draw into an off-screen back buffer.  Nothing drawn is
+                   sent to the panel until swapBuffers() makes it the front
+                   buffer, so a frame can never be shown half composed.
+
+                options.panel (default the profile matching width x height)
+                   Name of a profile in SSD1315_Panels, e.g. "72x40", or an
+                   object {profile: name, ...fields} overriding multiplex,
+                   comPins, colOffset, pageOffset, clockDiv, precharge,
+                   externalPrecharge, vcomh, contrast or externalContrast.
+                   width and height default to the profile's.
+                options.colOffset / options.pageOffset
+                   Override the profile's first GDDRAM column/page wired to
+                   the glass.
+
+                options.flipX / options.flipY (default false)
+                   Mirror the panel horizontally/vertically in hardware - see
+                   setFlipX() and setFlipY().
+
+                options.oscillatorFrequency / options.clockDivide
+                options.prechargePhase1 / options.prechargePhase2
+                options.vcomh
+                   Override the panel profile - see setClock(),
+                   setPrecharge() and setVcomh().
+                options.chargePumpVoltage (default 7.5)
+                   Not allowed with EXTERNALVCC - see setChargePump().
+                options.iref (default "external") - see setIref().
+
+                options.idleSleepMs (default 0 - off)
+                   Sleep after this many milliseconds without display() -
+                   see setIdleSleep().
+
+                options.burnInGuard (default null - off)
+                   true or the options of startBurnInGuard() to start the
+                   guard in begin().
+
+                options.noSplash (default false)
+                   Start with a blank screen instead of a splash.
+                options.splash (default the Adafruit splash for the height)
+                   Splash shown by begin() - a row bitmap {width, height,
+                   data} as used by draw1BitBitmap() (or a module generated
+                   by ssd1315-bitmap), PNG/PBM file content, a function
+                   called with the display to draw the splash, or an
+                   animation as a list of frames {image, durationMs} with
+                   image any of the above (durationMs default 100).
+                options.splashDurationMs (default 0 - keep the splash)
+                   Clear the screen after the splash has been shown this
+                   long.  Animations repeat until then, otherwise they play
+                   once and stay on the last frame.  begin() (and startup())
+                   completes after the splash.
+                options.splashX / options.splashY (default centered)
+                   Position of splash bitmaps.
     */
     /**************************************************************************/
     constructor(options) {
         const optionsShallow = Object.assign({}, options);
-        // set bpp prior to invoking super().
+        const panel = resolvePanel(options);
+        // set bpp and size prior to invoking super().
         optionsShallow["bpp"] = 1;
+        optionsShallow["width"] = panel.width;
+        optionsShallow["height"] = panel.height;
         super(optionsShallow);
         const self = this;
+        self._panel = panel;
 
         // Extract option and ensure if not specified, we specify value of SSD1315_SWITCHCAPVCC (0x02).
         // Some Adafruit displays can use EXTERNALVCC to generate OLED power.  Most do not so we default the value to internal VCC Lift.
@@ -176,18 +546,132 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
 
         // Extract option and ensure if not specified, we specify value false to force splash screen.
         self._noSplash = !!extractOption(options, "noSplash", false);
+        const splash = extractOption(options, "splash", null);
+        self._splashFrames = ((splash === null) || (splash === undefined)) ? null : splashSetting(splash);
+        self._splashAnimated = Array.isArray(splash);
+        self._splashDurationMs = extractOption(options, "splashDurationMs", 0);
+        if (!Number.isInteger(self._splashDurationMs) || (self._splashDurationMs < 0)) {
+            throw new Error("Invalid splash duration specified");
+        }
+        self._splashX = extractOption(options, "splashX", null);
+        self._splashY = extractOption(options, "splashY", null);
+        [self._splashX, self._splashY].forEach(position => {
+            if ((position !== null) && (position !== undefined) && !Number.isInteger(position)) {
+                throw new Error("Invalid splash position specified");
+            }
+        });
+
+        // Analog settings from the panel profile, sent by begin().
+        const external = (SSD1315_EXTERNALVCC === self._vccSelection);
+        self._contrast = external ? panel.externalContrast : panel.contrast;
+        self._precharge = external ? panel.externalPrecharge : panel.precharge;
+        self._vcomh = panel.vcomh;
+        self._clockDiv = panel.clockDiv;
+        self._multiplex = panel.multiplex;
+        self._comPins = panel.comPins;
+
+        // Analog options overriding the panel profile - see setClock(),
+        // setPrecharge(), setVcomh(), setChargePump() and setIref().
+        self._clockDiv = clockDivSetting(extractOption(options, "oscillatorFrequency", self._clockDiv >> 4),
+                                         extractOption(options, "clockDivide", (self._clockDiv & 0x0F) + 1));
+        self._precharge = prechargeSetting(extractOption(options, "prechargePhase1", self._precharge & 0x0F),
+                                           extractOption(options, "prechargePhase2", self._precharge >> 4));
+        self._vcomh = vcomhSetting(extractOption(options, "vcomh", self._vcomh));
+        if (external && options.hasOwnProperty("chargePumpVoltage")) {
+            throw new Error("Charge pump is not used with EXTERNALVCC");
+        }
+        self._chargePump = external ? SSD1315_CHARGE_PUMP_DISABLE : chargePumpSetting(extractOption(options, "chargePumpVoltage", 7.5));
+        self._iref = irefSetting(extractOption(options, "iref", "external"));
+
+        // Hardware mirroring for panels mounted flipped - see setFlipX()/setFlipY().
+        self._flipX = !!extractOption(options, "flipX", false);
+        self._flipY = !!extractOption(options, "flipY", false);
 
-        // Initialize with default value for the 128x32 display with 0x8F.
-        self._contrast = 0x8F;
+        // Brightness state - see setBrightness().  null until a level is set.
+        self._brightness = null;
+        self._dimmed = false;
+        self._fadeToken = null;
+        // Values last sent to the panel.
+        self._currentContrast = self._currentPrecharge = self._currentVcomh = null;
 
         // Used for testing overrides if needed.
         self.display_offset = extractOption(options, "displayOffset", 0);
         self.start_line = extractOption(options, "startLine", 0);
-        // Currently unused.
-        self.page_offset = extractOption(options, "pageOffset", 0);
-        self.column_offset = extractOption(options, "colOffset", 0);
+        // GDDRAM position of the glass, applied by every write to the panel.
+        self.page_offset = panel.pageOffset;
+        self.column_offset = panel.colOffset;
+
+        // Extract option and ensure if not specified, we specify value 0 (no limit on data transfer size).
+        const maxTransferBytes = extractOption(options, "maxTransferBytes", 0);
+        if (!Number.isInteger(maxTransferBytes) || (maxTransferBytes < 0)) {
+            throw new Error("Invalid maxTransferBytes specified");
+        }
+        self._maxTransferBytes = maxTransferBytes;
+
+        // Shadow of GDDRAM content - only allocated when diffing is requested.
+        self._shadow = !!extractOption(options, "shadowDiff", false) ? new Uint8Array(self._buffer.length) : null;
+        self._shadowValid = false;
+        // Copy of the data last written to the panel, re-sent at the new
+        // columns when the burn-in guard shifts the image.
+        self._sentBuffer = new Uint8Array(self._buffer.length);
+        const diffMergeGap = extractOption(options, "diffMergeGap", 4);
+        if (!Number.isInteger(diffMergeGap) || (diffMergeGap < 0)) {
+            throw new Error("Invalid diffMergeGap specified");
+        }
+        self._diffMergeGap = diffMergeGap;
+        const diffMaxRuns = extractOption(options, "diffMaxRuns", 16);
+        if (!Number.isInteger(diffMaxRuns) || (diffMaxRuns < 0)) {
+            throw new Error("Invalid diffMaxRuns specified");
+        }
+        self._diffMaxRuns = diffMaxRuns;
+
+        // List of dirty rectangles {x1, y1, x2, y2} in buffer coordinates.
+        const maxDirtyRegions = extractOption(options, "maxDirtyRegions", 4);
+        if (!Number.isInteger(maxDirtyRegions) || (maxDirtyRegions < 1)) {
+            throw new Error("Invalid maxDirtyRegions specified");
+        }
+        self._maxDirtyRegions = maxDirtyRegions;
+        self._dirtyRegions = [];
+        // Marks within a single page (pixels, horizontal lines, text) are
+        // collected in up to maxDirtyRegions spans [x1, y1, x2, y2] per page
+        // and added to the regions on demand - see _getDirtyRegions().
+        self._dirtySpans = new Int16Array(toInt((self.HEIGHT + 7) / 8) * maxDirtyRegions * 4);
+        self._dirtySpanCounts = new Uint16Array(toInt((self.HEIGHT + 7) / 8));
+        self._dirtySpansPending = false;
+        self._resetDirtyWindow();
+
+        // Render loop state - see startRenderLoop().
+        self._renderLoop = null;
+
+        // Active fade/blink effect {mode, interval} and zoom state.
+        self._fadeEffect = null;
+        self._zoom = false;
+
+        // Hardware invert state and the commands of the active hardware
+        // scroll, restored by wake().
+        self._inverted = false;
+        self._scrollCommands = null;
+
+        // Power state - see sleep(), wake() and setIdleSleep().
+        self._sleeping = false;
+        self._autoSlept = false;
+        self._idleTimer = null;
+        self._idleSleepMs = idleSleepSetting(extractOption(options, "idleSleepMs", 0));
+
+        // Burn-in guard state - see startBurnInGuard().  The shift is applied
+        // when writing to the panel, the buffer is never shifted.
+        self._burnInGuard = null;
+        self._burnInGuardOptions = extractOption(options, "burnInGuard", null);
+        self._guardInverted = false;
+        self._shiftX = 0;
+        self._shiftY = 0;
 
         self._buffer = new Uint8Array(self.WIDTH * toInt((self.HEIGHT + 7) / 8));
+
+        // Front buffer and the regions of it not yet sent - only allocated when
+        // double buffering is requested.  _buffer is then the back buffer.
+        self._frontBuffer = !!extractOption(options, "doubleBuffer", false) ? new Uint8Array(self._buffer.length) : null;
+        self._frontRegions = [];
     }
 
 
@@ -218,7 +702,12 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
 
     _preShutdown() {
         const self = this;
+        self.stopRenderLoop();
+        self._clearIdleTimer();
+        self.stopBurnInGuard();
         self.oled_command(SSD1315_DEACTIVATE_SCROLL); // DeactivateScroll
+        self._scrollCommands = null;
+        self._stopEffects();
         self.enableDisplay(false);  // Turn off screen
         return self;
     }
@@ -243,76 +732,143 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
     */
     /**************************************************************************/
     begin() {
-        const self = this, w = self.WIDTH, h = self.HEIGHT, rotation = self.rotation, vccSelection = self._vccSelection;
+        const self = this, w = self.WIDTH, h = self.HEIGHT, rotation = self.rotation;
+
+        // The panel is set up from scratch, the guard restarts below.
+        if (self._burnInGuard) {
+            clearInterval(self._burnInGuard.shiftTimer);
+            self._burnInGuard.invertTimer && clearInterval(self._burnInGuard.invertTimer);
+            self._burnInGuard = null;
+        }
+        self._guardInverted = false;
+        self._shiftX = 0;
+        self._shiftY = 0;
 
         self.oled_commandList(SSD1315_INIT_SEQ_1);
 
-        // Multiplex is based on screen height
-        self.oled_commandList([SSD1315_SET_MULTIPLEX, (self.HEIGHT - 1) & 0xFF]);
+        // Clock and multiplex come from the panel profile.
+        self.oled_commandList([SSD1315_SET_DISPLAY_CLOCK_DIV, self._clockDiv & 0xFF,
+                               SSD1315_SET_MULTIPLEX, self._multiplex & 0x3F]);
 
         self.oled_commandList(SSD1315_INIT_SEQ_2);
-
-        // ComPins and Precharge settings vary based on display and/or EXTERNALVCC value in vccSelection
-        let contrast = self._contrast,
-            pageOffset = self.page_offset,
-            colOffset = self.column_offset,
-            displayOffset = self.display_offset,
-            startLine = self.start_line,
-            comPins = 0x02;
-
-        if ((self.WIDTH == 128) && (self.HEIGHT == 32)) {
-            // TBD.
-            comPins = 0x02;
-            contrast = 0x8F;
-        } else if ((self.WIDTH == 128) && (self.HEIGHT == 64)) {
-            comPins = 0x12;
-            // (if external VCC, then 0x9F, otherwise 0xCF)
-            contrast = (SSD1315_EXTERNALVCC === vccSelection) ? 0x9F : 0xCF;
-        } else if ((self.WIDTH == 96) && (self.HEIGHT == 16)) {
-            // TBD.
-            comPins = 0x02;
-            contrast = (SSD1315_EXTERNALVCC === vccSelection) ? 0x10 : 0xAF;
-        } else {
-            // TBD.
-            comPins = 0x02;
-            contrast = 0x8F;
-        }
-
-        // Update values for use by other functions.
-        self._contrast = contrast;
-        self.page_offset = pageOffset;
-        self.column_offset = colOffset;
-        self.display_offset = displayOffset;
-        self.start_line = startLine;
-
-        // Set charge pump val (if external VCC, then 0x10 - no charge pump, otherwise 0x14 Charge Pump @ 8.5V)
-        self.oled_commandList([SSD1315_CHARGE_PUMP,(SSD1315_EXTERNALVCC === vccSelection) ? 0x10 : 0x14,
-                               SSD1315_SET_DISPLAY_OFFSET, displayOffset & 0x3F,
+        self.oled_commandList([self._flipX ? SSD1315_SEG_REMAP_NORMAL : SSD1315_SEG_REMAP_FLIP,
+                               self._flipY ? SSD1315_COM_SCAN_INC : SSD1315_COM_SCAN_DEC]);
+
+        // ComPins, Contrast, Precharge and VCOMH come from the panel profile
+        // (resolved against vccSelection in the constructor).
+        const contrast = self._contrast,
+              precharge = self._precharge,
+              startLine = self.start_line;
+
+        // Set charge pump val (if external VCC, then 0x10 - no charge pump, otherwise 0x14 Charge Pump @ 7.5V unless set by options)
+        self.oled_commandList([SSD1315_CHARGE_PUMP, self._chargePump & 0xFF,
+                               SSD1315_SET_IREF, self._iref & 0xFF,
+                               SSD1315_SET_DISPLAY_OFFSET, self._displayOffsetRegister(),
                                (SSD1315_SET_DISPLAY_START_LINE_BASE | (startLine & 0x3F)) & 0xFF,
-                               SSD1315_SET_COM_PINS, comPins & 0xFF,
+                               SSD1315_SET_COM_PINS, self._comPins & 0xFF,
                                SSD1315_SET_CONTRAST, contrast & 0xFF,
-                               SSD1315_SET_PRECHARGE, (SSD1315_EXTERNALVCC === vccSelection) ? 0x22 : 0xF1]);
+                               SSD1315_SET_PRECHARGE, precharge & 0xFF,
+                               SSD1315_SET_VCOM_DETECT, self._vcomh & 0xFF]);
+        self._currentContrast = contrast & 0xFF;
+        self._currentPrecharge = precharge & 0xFF;
+        self._currentVcomh = self._vcomh;
+        self._brightness = null;
+        self._dimmed = false;
+        self._fadeToken = null;
 
         self.oled_commandList(SSD1315_INIT_SEQ_3);
+        self._fadeEffect = null;
+        self._zoom = false;
+        self._inverted = false;
+        self._scrollCommands = null;
+        self._sleeping = false;
+        self._autoSlept = false;
         self.setRotation(rotation);
-        self._setMaxDirtyWindow();
+        self._invalidatePanel();
 
-        if (self._noSplash) {
-            self.clearDisplay();
+        const frames = self._noSplash ? null : (self._splashFrames || [{image: (h > 32) ? splash1 : splash2, durationMs: 0}]);
+        if (frames && (self._splashDurationMs || self._splashAnimated)) {
+            self._playSplash(frames);
         } else {
-            const splash = (h > 32) ? splash1 : splash2;
-            if (splash.data && splash.width && splash.height) {
-                self.draw1BitBitmap(toInt((w  - splash.width ) / 2),
-                                    toInt((h  - splash.height) / 2),
-                                    splash.data,
-                                    splash.width,
-                                    splash.height, SSD1315_WHITE);
+            if (frames) {
+                self._drawSplashImage(frames[0].image);
+            } else {
+                self.clearDisplay();
             }
+            self._frontBuffer ? self.swapBuffers() : self.display();
+
+
+            self.oled_command(SSD1315_DISPLAY_ON);
+        }
+        self._burnInGuardOptions && self.startBurnInGuard((self._burnInGuardOptions === true) ? {} : self._burnInGuardOptions);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to draw one splash image - a row bitmap placed at
+    // splashX/splashY (default centered) or a draw function.
+    /**************************************************************************/
+    _drawSplashImage(image) {
+        const self = this, w = self.WIDTH, h = self.HEIGHT;
+        if (typeof image === "function") {
+            image(self);
+        } else if (image.data && image.width && image.height) {
+            const x = Number.isInteger(self._splashX) ? self._splashX : toInt((w  - image.width ) / 2),
+                  y = Number.isInteger(self._splashY) ? self._splashY : toInt((h  - image.height) / 2);
+            self.draw1BitBitmap(x, y, image.data, image.width, image.height, SSD1315_WHITE);
         }
-        self.display();
+        return self;
+    }
 
 
+    /**************************************************************************/
+    // Protected method used by begin() to queue a timed or animated splash
+    // and turn the display on.  Frames are rendered up front and sent from
+    // their own copies as transfers may read the data after begin() returns.
+    /**************************************************************************/
+    _playSplash(frames) {
+        const self = this, lastColumn = self.WIDTH - 1, lastPage = toInt((self.HEIGHT - 1) / 8);
+        const snapshots = frames.map(frame => {
+            self.clearDisplay();
+            self._drawSplashImage(frame.image);
+            return self._buffer.slice();
+        });
+
+        const timed = (self._splashDurationMs > 0);
+        let remaining = self._splashDurationMs, index = 0;
+        self._writeWindow(snapshots[0], 0, lastColumn, 0, lastPage);
         self.oled_command(SSD1315_DISPLAY_ON);
+        for (;;) {
+            // Without splashDurationMs the frames play once.
+            const frameMs = frames[index].durationMs,
+                  durationMs = !timed ? frameMs : (frameMs ? fMin(frameMs, remaining) : remaining);
+            durationMs && self._chain(_ => delay(durationMs));
+            remaining -= durationMs;
+            if (timed ? (remaining <= 0) : (index === frames.length - 1)) {
+                break;
+            }
+            index = (index + 1) % frames.length;
+            self._writeWindow(snapshots[index], 0, lastColumn, 0, lastPage);
+        }
+
+        if (self._splashDurationMs) {
+            self.clearDisplay();
+            self._invalidatePanel();
+            self._frontBuffer ? self.swapBuffers() : self.display();
+        } else {
+            // The panel shows the last frame, which is still in the buffer.
+            self._resetDirtyWindow();
+            self._invalidateShadow();
+            if (self._frontBuffer) {
+                self._frontBuffer.set(self._buffer);
+                self._frontRegions = [];
+            }
+        }
+        // Idle time counts from the end of the splash.
+        self._chain(async _ => {
+            self._armIdleTimer();
+        });
         return self;
     }
 
@@ -322,63 +878,1763 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
     /**************************************************************************/
     /*!
         @brief  Push data currently in RAM to SSD1315 display.
+        @param  x, y, w, h  (optional)
+                When specified, push only this rectangle - see displayRegion().
         @return this
         @note   Drawing operations are not visible until this function is
                 called. Call after each graphics command, or after a whole set
                 of graphics commands, as best needed by one's own application.
+                With the doubleBuffer option, only what swapBuffers() has made
+                the front buffer is sent.
+    */
+    /**************************************************************************/
+    display(x, y, w, h) {
+        const self = this;
+        if (arguments.length >= 4) {
+            return self.displayRegion(x, y, w, h);
+        }
+        const loop = self._renderLoop;
+        if (loop && loop.coalesceDisplay && !loop.flushing) {
+            // Flush once at the next frame instead.
+            return self.requestDisplay();
+        }
+        if (self._frontBuffer) {
+            const regions = self._frontRegions;
+            self._frontRegions = [];
+            regions.forEach(region => self._flushRegion(region));
+        } else {
+            self._getDirtyRegions().forEach(region => self._flushRegion(region));
+            self._resetDirtyWindow();
+        }
+        return self._noteFlush();
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Make the back buffer the front buffer and flush it.  Only the
+                regions drawn since the last swap (plus any not yet sent) are
+                transmitted.  The new back buffer starts as a copy of the new
+                front buffer so drawing can continue incrementally.
+        @return this
+        @throws Error if the doubleBuffer option was not set.
+        @note   While a render loop coalesces display(), the flush happens at
+                the next frame.
+    */
+    /**************************************************************************/
+    swapBuffers() {
+        const self = this, front = self._buffer, back = self._frontBuffer, w = self.WIDTH;
+        if (!back) {
+            throw new Error("swapBuffers() requires the doubleBuffer option");
+        }
+        const drawn = self._getDirtyRegions();
+        self._buffer = back;
+        self._frontBuffer = front;
+
+        // Outside of the drawn regions both buffers already hold the same data.
+        drawn.forEach(r => {
+            for (let page = toInt(r.y1 / 8), pageEnd = toInt(r.y2 / 8); page <= pageEnd; page++) {
+                const index = page * w;
+                back.set(front.subarray(index + r.x1, index + r.x2 + 1), index + r.x1);
+            }
+        });
+        self._resetDirtyWindow();
+
+        const regions = self._frontRegions.concat(drawn);
+        self._mergeDirtyRegions(regions);
+        self._frontRegions = regions;
+        return self.display();
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Push a rectangle of the buffer to the display whether it is
+                dirty or not, e.g. to show a finished widget while the rest of
+                the frame is still being composed.  Dirty regions covered by
+                the rectangle are cleared.  With the doubleBuffer option the
+                rectangle is sent from the front buffer.
+        @param  x  Left edge -- logical (rotation-aware) coordinates.
+        @param  y  Top edge -- logical (rotation-aware) coordinates.
+        @param  w  Width of the rectangle in pixels.
+        @param  h  Height of the rectangle in pixels.
+        @return this
+    */
+    /**************************************************************************/
+    displayRegion(x, y, w, h) {
+        const self = this, rect = self._logicalToBufferRect(x, y, w, h);
+        if (rect) {
+            self._flushRegion(rect);
+            if (self._frontBuffer) {
+                self._frontRegions = subtractRect(self._frontRegions, rect);
+            } else {
+                self._clearDirtyRect(rect);
+            }
+        }
+        return self._noteFlush();
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Mark a rectangle dirty so the next display() sends it.
+        @param  x, y, w, h  (optional)
+                Rectangle in logical (rotation-aware) coordinates.  When
+                omitted the whole display is marked dirty.
+        @return this
+    */
+    /**************************************************************************/
+    markDirty(x, y, w, h) {
+        const self = this;
+        if (arguments.length < 4) {
+            return self._setMaxDirtyWindow();
+        }
+        const rect = self._logicalToBufferRect(x, y, w, h);
+        rect && self._markDirty(rect.x1, rect.y1, rect.x2, rect.y2);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Remove a rectangle from the dirty regions so the next display()
+                does not send it.
+        @param  x, y, w, h  (optional)
+                Rectangle in logical (rotation-aware) coordinates.  When
+                omitted all dirty regions are cleared.
+        @return this
+        @note   With the doubleBuffer option this applies to the front buffer
+                regions not sent yet; what was drawn into the back buffer is
+                always carried over by swapBuffers().
+    */
+    /**************************************************************************/
+    clearDirty(x, y, w, h) {
+        const self = this;
+        if (self._frontBuffer) {
+            const rect = (arguments.length < 4) ? {x1: 0, y1: 0, x2: self.WIDTH - 1, y2: self.HEIGHT - 1}
+                                                : self._logicalToBufferRect(x, y, w, h);
+            rect && (self._frontRegions = subtractRect(self._frontRegions, rect));
+            return self;
+        }
+        if (arguments.length < 4) {
+            return self._resetDirtyWindow();
+        }
+        const rect = self._logicalToBufferRect(x, y, w, h);
+        rect && self._clearDirtyRect(rect);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method returning the buffer the panel is refreshed from - the
+    // front buffer when double buffering, otherwise _buffer.
+    /**************************************************************************/
+    _displayBuffer() {
+        return this._frontBuffer || this._buffer;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Send one rectangle of the display buffer to the panel, rounded
+                out to whole pages.
+        @param  region  {x1, y1, x2, y2} in buffer coordinates.
+        @return this
     */
     /**************************************************************************/
-    display() {
+    _flushRegion(region) {
         const self = this,
-              w = self.WIDTH,
-              h = self.HEIGHT,
-              buffer = self._buffer,
-              colStart = self.window_x1,
-              to_write = (self.window_x2 - self.window_x1) + 1,
-              pageStart = toInt(self.window_y1 / 8),
-              pageEnd = toInt(self.window_y2 / 8) + 1;
-
-        let page, index = colStart + (pageStart * w);
-        if (to_write > 0) {
-            for (page = pageStart; page < pageEnd; page++, index += w) {
-                // writing 1 page and to_write columns.
-                self.oled_commandList([SSD1315_PAGE_ADDR,
-                                       page,
-                                       page + 1,
-                                       SSD1315_COLUMN_ADDR,
-                                       colStart,
-                                       colStart + to_write - 1]);
-                // write buffer data one page at a time.
-                self.oled_data(buffer.subarray(index, index + to_write));
+              colStart = region.x1,
+              colEnd = region.x2,
+              pageStart = toInt(region.y1 / 8),
+              pageEnd = toInt(region.y2 / 8);
+
+        if (colEnd >= colStart) {
+            if (self._shadow) {
+                self._writeWindowDiff(colStart, colEnd, pageStart, pageEnd);
+            } else {
+                self._writeWindow(self._displayBuffer(), colStart, colEnd, pageStart, pageEnd);
             }
         }
-        self._resetDirtyWindow();
         return self;
     }
 
 
     /**************************************************************************/
     /*!
-        @brief  Change whether display is on or off
-        @param   enable True if you want the display ON, false OFF
-        @return  this
+        @brief  Write the parts of a window of the display buffer that differ from the
+                shadow copy of GDDRAM, then update the shadow.  Falls back to
+                a block write while the shadow is not known to match the
+                panel or when the changes are too fragmented.
+        @param  colStart   First column to consider.
+        @param  colEnd     Last column to consider (inclusive).
+        @param  pageStart  First page to consider.
+        @param  pageEnd    Last page to consider (inclusive).
+        @return this
     */
     /**************************************************************************/
-    enableDisplay(aValue) {
-        return this.oled_command(!!aValue ? SSD1315_DISPLAY_ON : SSD1315_DISPLAY_OFF);
+    _writeWindowDiff(colStart, colEnd, pageStart, pageEnd) {
+        const self = this,
+              w = self.WIDTH,
+              buffer = self._displayBuffer(),
+              shadow = self._shadow,
+              mergeGap = self._diffMergeGap,
+              maxRuns = self._diffMaxRuns;
+
+        let runs = [];
+        if (self._shadowValid) {
+            for (let page = pageStart; page <= pageEnd && runs; page++) {
+                let runStart = -1, runEnd = -1;
+                for (let col = colStart, index = colStart + (page * w); col <= colEnd; col++, index++) {
+                    if (buffer[index] !== shadow[index]) {
+                        if ((runStart >= 0) && ((col - runEnd - 1) <= mergeGap)) {
+                            runEnd = col;
+                        } else {
+                            (runStart >= 0) && runs.push([runStart, runEnd, page]);
+                            runStart = runEnd = col;
+                        }
+                    }
+                }
+                (runStart >= 0) && runs.push([runStart, runEnd, page]);
+                if (runs.length > maxRuns) {
+                    runs = null;
+                }
+            }
+        } else {
+            runs = null;
+        }
+
+        if (runs) {
+            runs.forEach(([runStart, runEnd, page]) => self._writeWindow(buffer, runStart, runEnd, page, page));
+        } else {
+            self._writeWindow(buffer, colStart, colEnd, pageStart, pageEnd);
+            // Shadow matches the panel once everything has been written.
+            if (!self._shadowValid && (colStart === 0) && (colEnd === w - 1) &&
+                (pageStart === 0) && (pageEnd === toInt((self.HEIGHT - 1) / 8))) {
+                self._shadowValid = true;
+            }
+        }
+
+        for (let page = pageStart; page <= pageEnd; page++) {
+            const index = colStart + (page * w);
+            shadow.set(buffer.subarray(index, index + colEnd - colStart + 1), index);
+        }
+        return self;
     }
 
 
-    // OTHER HARDWARE SETTINGS -------------------------------------------------
+    /**************************************************************************/
+    // Protected method to forget what the panel is known to contain, e.g.
+    // after a reset or hardware scrolling has moved GDDRAM content.  The next
+    // full flush will re-establish the shadow.
+    /**************************************************************************/
+    _invalidateShadow() {
+        this._shadowValid = false;
+        return this;
+    }
 
 
-    /***********************************************/
-    /***********************************************/
-    /***********************************************/
-    /* GFX implementations */
+    /**************************************************************************/
+    // Protected method used when the panel content is unknown so the next
+    // flush writes the full screen, from the front buffer when double
+    // buffering.
+    /**************************************************************************/
+    _invalidatePanel() {
+        const self = this;
+        self._invalidateShadow();
+        self._setMaxDirtyWindow();
+        if (self._frontBuffer) {
+            self._frontRegions = [{x1: 0, y1: 0, x2: self.WIDTH - 1, y2: self.HEIGHT - 1}];
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to add a rectangle (buffer coordinates, inclusive) to
+    // the list of dirty regions.  The dirty window (window_x1 .. window_y2)
+    // is kept as the bounding box of all regions.
+    /**************************************************************************/
+    _markDirty(x1, y1, x2, y2) {
+        const self = this, regions = self._dirtyRegions;
+        if ((y1 >> 3) === (y2 >> 3)) {
+            return self._markDirtySpan(x1, y1, x2, y2);
+        }
+
+        self.window_x1 = fMin(self.window_x1, x1);
+        self.window_y1 = fMin(self.window_y1, y1);
+        self.window_x2 = fMax(self.window_x2, x2);
+        self.window_y2 = fMax(self.window_y2, y2);
+
+        // Already covered by an existing region.
+        for (let i = 0, l = regions.length; i < l; i++) {
+            const r = regions[i];
+            if ((x1 >= r.x1) && (x2 <= r.x2) && (y1 >= r.y1) && (y2 <= r.y2)) {
+                return self;
+            }
+        }
+        regions.push({x1, y1, x2, y2});
+        self._mergeDirtyRegions();
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method used by _markDirty() for a rectangle within one page.
+    // A mark touching a span of its page widens that span, otherwise it
+    // starts a new one so distant marks on a page are sent separately.  Once
+    // a page has maxDirtyRegions spans, the closest one is widened instead.
+    // Only the dirty window and the spans are updated, which keeps pixel
+    // drawing cheap.
+    /**************************************************************************/
+    _markDirtySpan(x1, y1, x2, y2) {
+        const self = this, spans = self._dirtySpans, counts = self._dirtySpanCounts,
+              page = y1 >> 3, count = counts[page], start = page * self._maxDirtyRegions * 4;
+        (x1 < self.window_x1) && (self.window_x1 = x1);
+        (y1 < self.window_y1) && (self.window_y1 = y1);
+        (x2 > self.window_x2) && (self.window_x2 = x2);
+        (y2 > self.window_y2) && (self.window_y2 = y2);
+        // First span the mark touches, else the closest one by the number of
+        // unmarked columns in between.
+        let best = -1, bestGap = 0x7FFF;
+        for (let i = start, end = start + (count << 2); i < end; i += 4) {
+            const gap = (spans[i] > x2) ? (spans[i] - x2 - 1) : (x1 - spans[i + 2] - 1);
+            if (gap < bestGap) {
+                best = i;
+                bestGap = gap;
+                if (gap <= 0) {
+                    break;
+                }
+            }
+        }
+        if ((best < 0) || ((bestGap > 0) && (count < self._maxDirtyRegions))) {
+            const i = start + (count << 2);
+            spans[i] = x1;
+            spans[i + 1] = y1;
+            spans[i + 2] = x2;
+            spans[i + 3] = y2;
+            counts[page] = count + 1;
+            self._dirtySpansPending = true;
+        } else {
+            (x1 < spans[best]) && (spans[best] = x1);
+            (y1 < spans[best + 1]) && (spans[best + 1] = y1);
+            (x2 > spans[best + 2]) && (spans[best + 2] = x2);
+            (y2 > spans[best + 3]) && (spans[best + 3] = y2);
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method returning the dirty regions after adding the page
+    // spans collected by _markDirty().
+    /**************************************************************************/
+    _getDirtyRegions() {
+        const self = this, regions = self._dirtyRegions, spans = self._dirtySpans, counts = self._dirtySpanCounts;
+        if (self._dirtySpansPending) {
+            let added = false;
+            for (let page = 0; page < counts.length; page++) {
+                const start = page * self._maxDirtyRegions * 4;
+                for (let i = start, end = start + (counts[page] << 2); i < end; i += 4) {
+                    const x1 = spans[i], y1 = spans[i + 1], x2 = spans[i + 2], y2 = spans[i + 3];
+                    if (!regions.some(r => (x1 >= r.x1) && (x2 <= r.x2) && (y1 >= r.y1) && (y2 <= r.y2))) {
+                        regions.push({x1, y1, x2, y2});
+                        added = true;
+                    }
+                }
+            }
+            self._clearDirtySpans();
+            added && self._mergeDirtyRegions();
+        }
+        return regions;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to forget the page spans collected by _markDirty().
+    /**************************************************************************/
+    _clearDirtySpans() {
+        const self = this;
+        self._dirtySpanCounts && self._dirtySpanCounts.fill(0);
+        self._dirtySpansPending = false;
+        return self;
+    }
 
 
-    // DRAWING FUNCTIONS -------------------------------------------------------
+    /**************************************************************************/
+    // Protected method to merge dirty regions that share pages and touch
+    // (they would otherwise be sent twice) and then the cheapest pairs until
+    // no more than maxDirtyRegions remain.  Works on the given list in place,
+    // the dirty regions by default.
+    /**************************************************************************/
+    _mergeDirtyRegions(regions) {
+        const self = this;
+        regions = regions || self._dirtyRegions;
+        const union = (a, b) => ({x1: fMin(a.x1, b.x1), y1: fMin(a.y1, b.y1),
+                                  x2: fMax(a.x2, b.x2), y2: fMax(a.y2, b.y2)});
+        // Area in bytes actually sent for a region.
+        const cost = r => (r.x2 - r.x1 + 1) * (toInt(r.y2 / 8) - toInt(r.y1 / 8) + 1);
+        // Regions sharing a page and overlapping or adjacent columns.
+        const overlaps = (a, b) => (a.x1 <= b.x2 + 1) && (b.x1 <= a.x2 + 1) &&
+                                   (toInt(a.y1 / 8) <= toInt(b.y2 / 8)) && (toInt(b.y1 / 8) <= toInt(a.y2 / 8));
+
+        let merged = true;
+        while (merged) {
+            merged = false;
+            for (let i = 0; (i < regions.length) && !merged; i++) {
+                for (let j = i + 1; (j < regions.length) && !merged; j++) {
+                    if (overlaps(regions[i], regions[j])) {
+                        regions[i] = union(regions[i], regions[j]);
+                        regions.splice(j, 1);
+                        merged = true;
+                    }
+                }
+            }
+            if (!merged && (regions.length > self._maxDirtyRegions)) {
+                let best = null, bestCost = Infinity;
+                for (let i = 0; i < regions.length; i++) {
+                    for (let j = i + 1; j < regions.length; j++) {
+                        const extra = cost(union(regions[i], regions[j])) - cost(regions[i]) - cost(regions[j]);
+                        if (extra < bestCost) {
+                            bestCost = extra;
+                            best = [i, j];
+                        }
+                    }
+                }
+                regions[best[0]] = union(regions[best[0]], regions[best[1]]);
+                regions.splice(best[1], 1);
+                merged = true;
+            }
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to remove a rectangle (buffer coordinates, inclusive)
+    // from the dirty regions.  Partially covered regions are cut into the
+    // pieces that remain outside of the rectangle.
+    /**************************************************************************/
+    _clearDirtyRect(rect) {
+        const self = this, remaining = subtractRect(self._getDirtyRegions(), rect);
+        self._resetDirtyWindow();
+        remaining.forEach(r => self._markDirty(r.x1, r.y1, r.x2, r.y2));
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to convert a rectangle in logical (rotation-aware)
+    // coordinates to an inclusive rectangle in buffer coordinates clipped to
+    // the display.  Returns null when nothing remains.
+    /**************************************************************************/
+    _logicalToBufferRect(x, y, w, h) {
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT;
+        x = toInt(x);
+        y = toInt(y);
+        w = toInt(w);
+        h = toInt(h);
+        if ((w <= 0) || (h <= 0)) return null;
+
+        let x1, y1, x2, y2;
+        switch (self.rotation) {
+            case 1:
+                x1 = WIDTH - (y + h);
+                x2 = WIDTH - 1 - y;
+                y1 = x;
+                y2 = x + w - 1;
+                break;
+            case 2:
+                x1 = WIDTH - (x + w);
+                x2 = WIDTH - 1 - x;
+                y1 = HEIGHT - (y + h);
+                y2 = HEIGHT - 1 - y;
+                break;
+            case 3:
+                x1 = y;
+                x2 = y + h - 1;
+                y1 = HEIGHT - (x + w);
+                y2 = HEIGHT - 1 - x;
+                break;
+            default:
+                x1 = x;
+                x2 = x + w - 1;
+                y1 = y;
+                y2 = y + h - 1;
+                break;
+        }
+        x1 = fMax(x1, 0);
+        y1 = fMax(y1, 0);
+        x2 = fMin(x2, WIDTH - 1);
+        y2 = fMin(y2, HEIGHT - 1);
+        return ((x2 >= x1) && (y2 >= y1)) ? {x1, y1, x2, y2} : null;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to convert a point in logical (rotation-aware)
+    // coordinates to buffer coordinates.  The point is not clipped.
+    /**************************************************************************/
+    _logicalToBufferPoint(x, y) {
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT;
+        switch (self.rotation) {
+            case 1:
+                return {x: WIDTH - 1 - y, y: x};
+            case 2:
+                return {x: WIDTH - 1 - x, y: HEIGHT - 1 - y};
+            case 3:
+                return {x: y, y: HEIGHT - 1 - x};
+            default:
+                return {x, y};
+        }
+    }
+
+
+    /**************************************************************************/
+    // Protected method to clear the dirty window and all dirty regions.
+    /**************************************************************************/
+    _resetDirtyWindow() {
+        const self = this;
+        super._resetDirtyWindow();
+        self._dirtyRegions = [];
+        return self._clearDirtySpans();
+    }
+
+
+    /**************************************************************************/
+    // Protected method to set the entire window dirty so display()
+    // will write full screen.
+    /**************************************************************************/
+    _setMaxDirtyWindow() {
+        const self = this;
+        super._setMaxDirtyWindow();
+        self._dirtyRegions = [{x1: 0, y1: 0, x2: self.WIDTH - 1, y2: self.HEIGHT - 1}];
+        return self._clearDirtySpans();
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Write a rectangle of page-oriented data to GDDRAM.  The data is
+                sent as a single transfer unless it exceeds maxTransferBytes,
+                in which case it is split and the column/page window is
+                re-issued for every transfer:
+                - whole pages per transfer when a page row fits, or
+                - column segments of a single page otherwise.
+                Each transfer is then self-contained so a transport that
+                drops bytes past its limit cannot shift later data.
+        @param  buffer     Page-oriented source data, WIDTH bytes per page.
+        @param  colStart   First column to write.
+        @param  colEnd     Last column to write (inclusive).
+        @param  pageStart  First page to write.
+        @param  pageEnd    Last page to write (inclusive).
+        @return this
+    */
+    /**************************************************************************/
+    _writeWindow(buffer, colStart, colEnd, pageStart, pageEnd) {
+        const self = this,
+              maxBytes = self._maxTransferBytes,
+              to_write = colEnd - colStart + 1;
+
+        if (!maxBytes || ((to_write * (pageEnd - pageStart + 1)) <= maxBytes)) {
+            return self._writeWindowBlock(buffer, colStart, colEnd, pageStart, pageEnd);
+        }
+        if (to_write <= maxBytes) {
+            const pagesPerTransfer = toInt(maxBytes / to_write);
+            for (let page = pageStart; page <= pageEnd; page += pagesPerTransfer) {
+                self._writeWindowBlock(buffer, colStart, colEnd, page, fMin(page + pagesPerTransfer - 1, pageEnd));
+            }
+        } else {
+            for (let page = pageStart; page <= pageEnd; page++) {
+                for (let col = colStart; col <= colEnd; col += maxBytes) {
+                    self._writeWindowBlock(buffer, col, fMin(col + maxBytes - 1, colEnd), page, page);
+                }
+            }
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Write a rectangle of page-oriented data to GDDRAM in a single
+                transfer.  begin() puts the controller in horizontal
+                addressing mode so after setting the column/page window once,
+                the column pointer wraps to the next page by itself.
+        @param  buffer     Page-oriented source data, WIDTH bytes per page.
+        @param  colStart   First column to write.
+        @param  colEnd     Last column to write (inclusive).
+        @param  pageStart  First page to write.
+        @param  pageEnd    Last page to write (inclusive).
+        @return this
+        @note   Columns and pages are those of the buffer, the panel's column
+                and page offsets and the burn-in guard's shift are added here.
+    */
+    /**************************************************************************/
+    _writeWindowBlock(buffer, colStart, colEnd, pageStart, pageEnd) {
+        const self = this,
+              w = self.WIDTH,
+              sent = self._sentBuffer,
+              shiftX = self._ramShiftX();
+        if (buffer !== sent) {
+            // GDDRAM pages past the buffer (see SSD1315_Ticker) are not kept.
+            for (let page = pageStart, last = fMin(pageEnd, toInt(sent.length / w) - 1); page <= last; page++) {
+                const index = page * w;
+                sent.set(buffer.subarray(index + colStart, index + colEnd + 1), index + colStart);
+            }
+        }
+        // Columns moved off the glass by the burn-in guard are dropped.
+        colStart = fMax(colStart, -shiftX);
+        colEnd = fMin(colEnd, w - 1 - shiftX);
+        if (colStart > colEnd) {
+            return self;
+        }
+        const to_write = colEnd - colStart + 1;
+
+        let data;
+        if (to_write === w) {
+            // Full width, pages are already contiguous in the buffer.  The
+            // transport may only read the data once the queue gets to it and
+            // the front buffer is drawn into as soon as it is swapped out,
+            // so it is sent as a copy.
+            data = (buffer === self._frontBuffer) ? buffer.slice(pageStart * w, (pageEnd + 1) * w)
+                                                  : buffer.subarray(pageStart * w, (pageEnd + 1) * w);
+        } else {
+            data = new Uint8Array(to_write * (pageEnd - pageStart + 1));
+            for (let page = pageStart, offset = 0; page <= pageEnd; page++, offset += to_write) {
+                const index = colStart + (page * w);
+                data.set(buffer.subarray(index, index + to_write), offset);
+            }
+        }
+        const pageOffset = self.page_offset, colOffset = self._ramColumnOffset() + shiftX;
+        self.oled_commandList([SSD1315_PAGE_ADDR,
+                               (pageStart + pageOffset) & 0x07,
+                               (pageEnd + pageOffset) & 0x07,
+                               SSD1315_COLUMN_ADDR,
+                               (colStart + colOffset) & 0x7F,
+                               (colEnd + colOffset) & 0x7F]);
+        self.oled_data(data);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Change whether display is on or off
+        @param   enable True if you want the display ON, false OFF
+        @return  this
+    */
+    /**************************************************************************/
+    enableDisplay(aValue) {
+        return this.oled_command(!!aValue ? SSD1315_DISPLAY_ON : SSD1315_DISPLAY_OFF);
+    }
+
+
+    // FRAME SCHEDULING --------------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Start an opt-in render loop that flushes at most once per
+                frame.  While it runs, display() (without a region) and
+                requestDisplay() only request a flush, and requestFrame()
+                callbacks run right before the flush, so any number of
+                requests per frame result in a single display().
+        @param  options
+                options.onError (required)
+                   function(err, display) called when a requestFrame()
+                   callback throws or a frame fails to be sent.  The loop
+                   is stopped first and a frame whose callback threw is not
+                   flushed.
+                options.fps (default 30)
+                   Target frame rate.
+                options.coalesceDisplay (default true)
+                   When false, display() keeps flushing immediately and only
+                   requestDisplay()/requestFrame() are coalesced.
+        @return this
+        @throws Error if an option is invalid or onError is missing.
+    */
+    /**************************************************************************/
+    startRenderLoop(options) {
+        const self = this;
+        options = Object.assign({}, options);
+        const fps = extractOption(options, "fps", 30);
+        if (!(fps > 0) || (fps > 1000)) {
+            throw new Error("Invalid fps specified");
+        }
+        const onError = extractOption(options, "onError", null);
+        if (typeof onError !== "function") {
+            throw new Error("Invalid onError specified");
+        }
+        self.stopRenderLoop();
+        const intervalMs = 1000 / fps;
+        self._renderLoop = {
+            fps,
+            intervalMs,
+            coalesceDisplay: !!extractOption(options, "coalesceDisplay", true),
+            onError,
+            callbacks: new Map(),
+            nextCallbackId: 1,
+            pending: false,
+            flushing: false,
+            inFlight: false,
+            deadline: nowMs() + intervalMs,
+            timer: null,
+            stats: null
+        };
+        self.resetFrameStats();
+        self._scheduleRenderTick();
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Stop the render loop.  A pending flush request is honored
+                immediately; pending requestFrame() callbacks are dropped.
+        @return this
+    */
+    /**************************************************************************/
+    stopRenderLoop() {
+        const self = this, loop = self._renderLoop;
+        if (loop) {
+            loop.timer && clearTimeout(loop.timer);
+            self._renderLoop = null;
+            if (loop.pending) {
+                self.display();
+            }
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Request a flush at the next frame of the render loop.  Flushes
+                immediately when no render loop is running.
+        @return this
+    */
+    /**************************************************************************/
+    requestDisplay() {
+        const self = this, loop = self._renderLoop;
+        if (!loop) {
+            return self.display();
+        }
+        loop.stats.requests++;
+        if (loop.pending) {
+            loop.stats.coalesced++;
+        }
+        loop.pending = true;
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Run a callback right before the next frame is flushed, in the
+                style of requestAnimationFrame().
+        @param  callback  function(timestampMs, display) drawing into the buffer.
+        @return id that can be passed to cancelFrame().
+        @throws Error if the render loop is not running.
+    */
+    /**************************************************************************/
+    requestFrame(callback) {
+        const self = this, loop = self._renderLoop;
+        if (!loop) {
+            throw new Error("requestFrame() requires startRenderLoop()");
+        }
+        const id = loop.nextCallbackId++;
+        loop.callbacks.set(id, callback);
+        self.requestDisplay();
+        return id;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Cancel a callback registered with requestFrame().
+        @param  id  Value returned by requestFrame().
+        @return this
+    */
+    /**************************************************************************/
+    cancelFrame(id) {
+        const loop = this._renderLoop;
+        loop && loop.callbacks.delete(id);
+        return this;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get timing statistics of the render loop.
+        @return Object {fps, targetFps, frames, dropped, requests, coalesced,
+                lastFrameMs, averageFrameMs, maxFrameMs} or null when no
+                render loop is running.  Frame times measure from the start
+                of the flush until the transport has sent it.
+    */
+    /**************************************************************************/
+    getFrameStats() {
+        const loop = this._renderLoop;
+        if (!loop) return null;
+        const stats = loop.stats, elapsedMs = nowMs() - stats.startMs;
+        return {
+            fps: (elapsedMs > 0) ? (stats.frames * 1000 / elapsedMs) : 0,
+            targetFps: loop.fps,
+            frames: stats.frames,
+            dropped: stats.dropped,
+            requests: stats.requests,
+            coalesced: stats.coalesced,
+            lastFrameMs: stats.lastFrameMs,
+            averageFrameMs: stats.frames ? (stats.totalFrameMs / stats.frames) : 0,
+            maxFrameMs: stats.maxFrameMs
+        };
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Reset the render loop statistics.
+        @return this
+    */
+    /**************************************************************************/
+    resetFrameStats() {
+        const loop = this._renderLoop;
+        if (loop) {
+            loop.stats = {startMs: nowMs(), frames: 0, dropped: 0, requests: 0, coalesced: 0,
+                          lastFrameMs: 0, totalFrameMs: 0, maxFrameMs: 0};
+        }
+        return this;
+    }
+
+
+    _scheduleRenderTick() {
+        const self = this, loop = self._renderLoop;
+        const delayMs = fMax(0, loop.deadline - nowMs());
+        loop.timer = setTimeout(() => self._renderTick(loop), delayMs);
+        return self;
+    }
+
+
+    _renderTick(loop) {
+        const self = this;
+        if (self._renderLoop !== loop) return;    // stopped or restarted.
+
+        const now = nowMs(), stats = loop.stats;
+        // Whole frame intervals the timer fired late by.
+        const late = toInt((now - loop.deadline) / loop.intervalMs);
+        loop.deadline += (late + 1) * loop.intervalMs;
+
+        if (loop.pending) {
+            stats.dropped += late;
+            if (loop.inFlight) {
+                // Previous frame still being sent, try again next frame.
+                stats.dropped++;
+            } else {
+                const callbacks = Array.from(loop.callbacks.values());
+                loop.callbacks.clear();
+                loop.pending = false;
+                try {
+                    callbacks.forEach(callback => callback(now, self));
+                } catch (err) {
+                    // The frame may be half drawn - stop without flushing it.
+                    self.stopRenderLoop();
+                    loop.onError(err, self);
+                    return;
+                }
+                loop.flushing = true;
+                loop.inFlight = true;
+                try {
+                    self.display();
+                } finally {
+                    loop.flushing = false;
+                }
+                self._chain(async _ => {
+                    const frameMs = nowMs() - now;
+                    loop.inFlight = false;
+                    stats.frames++;
+                    stats.lastFrameMs = frameMs;
+                    stats.totalFrameMs += frameMs;
+                    stats.maxFrameMs = fMax(stats.maxFrameMs, frameMs);
+                }).catch(err => {
+                    // This or an earlier write failed, nothing queued after it
+                    // will run - stop without another flush.
+                    loop.inFlight = false;
+                    if (self._renderLoop === loop) {
+                        loop.pending = false;
+                        self.stopRenderLoop();
+                        loop.onError(err, self);
+                    }
+                });
+            }
+        }
+        if (self._renderLoop === loop) {
+            self._scheduleRenderTick();
+        }
+    }
+
+
+    // OTHER HARDWARE SETTINGS -------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Invert the display (white on black or black on white) in
+                hardware.  The buffer is not changed.
+        @param  aValue  true to invert, false for normal display.
+        @return this
+    */
+    /**************************************************************************/
+    invertDisplay(aValue) {
+        const self = this;
+        self._inverted = !!aValue;
+        return self._sendInvert();
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get whether the display is inverted - see invertDisplay().
+        @return boolean
+    */
+    /**************************************************************************/
+    isInverted() {
+        return this._inverted;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Mirror the panel horizontally in hardware through the segment
+                remap, e.g. for a panel seen through a mirror or mounted
+                upside down (with setFlipY()).  Costs no drawing time and is
+                independent of setRotation() - coordinates are unchanged.
+        @param  flip  true to mirror, false for the normal orientation.
+        @return this
+        @note   Narrow panels not centered on the 128 segments show other
+                GDDRAM columns when mirrored, so the next display() sends
+                the whole buffer again.
+    */
+    /**************************************************************************/
+    setFlipX(flip) {
+        const self = this, colOffset = self._ramColumnOffset();
+        self._flipX = !!flip;
+        self.oled_command(self._flipX ? SSD1315_SEG_REMAP_NORMAL : SSD1315_SEG_REMAP_FLIP);
+        (colOffset !== self._ramColumnOffset()) && self._invalidatePanel();
+        // A burn-in shift now goes the other way in GDDRAM.
+        self._shiftX && self._resendShifted();
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Mirror the panel vertically in hardware through the COM scan
+                direction.  Together with setFlipX(true) this turns the
+                image by 180 degrees.
+        @param  flip  true to mirror, false for the normal orientation.
+        @return this
+    */
+    /**************************************************************************/
+    setFlipY(flip) {
+        const self = this;
+        self._flipY = !!flip;
+        self.oled_command(self._flipY ? SSD1315_COM_SCAN_INC : SSD1315_COM_SCAN_DEC);
+        // A burn-in shift now goes the other way through the display offset.
+        self._shiftY && self.oled_commandList([SSD1315_SET_DISPLAY_OFFSET, self._displayOffsetRegister()]);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get whether the panel is mirrored horizontally in hardware.
+        @return boolean
+    */
+    /**************************************************************************/
+    getFlipX() {
+        return this._flipX;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get whether the panel is mirrored vertically in hardware.
+        @return boolean
+    */
+    /**************************************************************************/
+    getFlipY() {
+        return this._flipY;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to get the GDDRAM column shown in buffer column 0.
+    // Mirroring reverses the segments, so the column offset is then counted
+    // from the other end of GDDRAM.
+    /**************************************************************************/
+    _ramColumnOffset() {
+        const self = this;
+        return self._flipX ? (SSD1315_GDDRAM_COLUMNS - self.WIDTH - self.column_offset) : self.column_offset;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to get the burn-in guard's column shift in GDDRAM
+    // columns.  Mirroring reverses the direction on the glass.
+    /**************************************************************************/
+    _ramShiftX() {
+        const self = this;
+        return self._flipX ? -self._shiftX : self._shiftX;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set the contrast directly.
+        @param  level  Contrast 0..255.
+        @return this
+    */
+    /**************************************************************************/
+    setContrast(level) {
+        const self = this;
+        self._currentContrast = level & 0xFF;
+        super.setContrast(level);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Dim the display (lowest brightness) or restore the brightness
+                in use before.
+        @param  dim  true to dim, false to restore.
+        @return this
+    */
+    /**************************************************************************/
+    dim(dim) {
+        const self = this;
+        self._fadeToken = null;
+        self._dimmed = !!dim;
+        return self._applyBrightness(self._dimmed ? 0 : self.getBrightness());
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set the brightness on a perceptual scale.  The level is mapped
+                to the contrast through a gamma curve, and the lowest levels
+                also reduce the precharge period and VCOMH deselect level to
+                go darker than contrast alone can.  Ends dim().
+        @param  level  0 (darkest, the panel stays on) to 100.
+        @return this
+        @throws Error if the level is out of range.
+    */
+    /**************************************************************************/
+    setBrightness(level) {
+        const self = this;
+        if ((typeof level !== "number") || !(level >= 0) || (level > 100)) {
+            throw new Error("Invalid brightness specified");
+        }
+        self._fadeToken = null;
+        self._dimmed = false;
+        self._brightness = level;
+        return self._applyBrightness(level);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the brightness level.  Until setBrightness() is used, the
+                level matching the panel's default contrast is returned.
+        @return Level 0..100.
+    */
+    /**************************************************************************/
+    getBrightness() {
+        const self = this;
+        if (self._brightness !== null) {
+            return self._brightness;
+        }
+        return 100 * Math.pow(self._contrast / 255, 1 / SSD1315_BRIGHTNESS_GAMMA);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Ramp the brightness to a level over time.  Calling fadeTo(),
+                setBrightness() or dim() again ends a fade in progress.
+        @param  level       Target level 0..100.
+        @param  durationMs  Length of the ramp in milliseconds.
+        @return Promise resolved once the fade has completed or was ended.
+        @throws Error if the level or duration is invalid.
+    */
+    /**************************************************************************/
+    async fadeTo(level, durationMs) {
+        const self = this;
+        if ((typeof level !== "number") || !(level >= 0) || (level > 100)) {
+            throw new Error("Invalid brightness specified");
+        }
+        if ((typeof durationMs !== "number") || !(durationMs >= 0)) {
+            throw new Error("Invalid fade duration specified");
+        }
+        const token = {}, from = self._dimmed ? 0 : self.getBrightness();
+        const steps = fMax(1, Math.ceil(durationMs / SSD1315_FADE_STEP_MS)), stepMs = durationMs / steps;
+        self._fadeToken = token;
+        self._dimmed = false;
+        for (let step = 1; step <= steps; step++) {
+            if (step > 1) {
+                await delay(stepMs);
+            }
+            if (self._fadeToken !== token) {
+                return;
+            }
+            self._brightness = from + (level - from) * step / steps;
+            self._applyBrightness(self._brightness);
+            // Wait for the transport so a slow bus does not build up a backlog.
+            await self;
+        }
+        self._brightness = level;
+        self._fadeToken = null;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to send the contrast, precharge and VCOMH values for a
+    // brightness level, skipping values the panel already has.
+    /**************************************************************************/
+    _applyBrightness(level) {
+        const self = this, low = (level < SSD1315_BRIGHTNESS_LOW_LEVEL);
+        const contrast = Math.round(255 * Math.pow(level / 100, SSD1315_BRIGHTNESS_GAMMA)),
+              precharge = low ? SSD1315_BRIGHTNESS_LOW_PRECHARGE : self._precharge,
+              vcomh = low ? SSD1315_BRIGHTNESS_LOW_VCOMH : self._vcomh;
+        const commands = [];
+        (contrast !== self._currentContrast) && commands.push(SSD1315_SET_CONTRAST, contrast);
+        (precharge !== self._currentPrecharge) && commands.push(SSD1315_SET_PRECHARGE, precharge);
+        (vcomh !== self._currentVcomh) && commands.push(SSD1315_SET_VCOM_DETECT, vcomh);
+        self._currentContrast = contrast;
+        self._currentPrecharge = precharge;
+        self._currentVcomh = vcomh;
+        commands.length && self.oled_commandList(commands);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set the display clock - oscillator frequency and divide ratio
+                together set the frame rate, e.g. to keep it away from a
+                camera's shutter rate.
+        @param  frequency  Oscillator frequency setting 0..15, higher is
+                           faster (8 after reset).
+        @param  divide     Clock divide ratio 1..16.
+        @return this
+        @throws Error if a value is out of range.
+    */
+    /**************************************************************************/
+    setClock(frequency, divide) {
+        const self = this;
+        self._clockDiv = clockDivSetting(frequency, divide);
+        return self.oled_commandList([SSD1315_SET_DISPLAY_CLOCK_DIV, self._clockDiv]);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set the precharge periods used at normal brightness.
+        @param  phase1  Phase 1 period 1..15 DCLKs.
+        @param  phase2  Phase 2 period 1..15 DCLKs.
+        @return this
+        @throws Error if a value is out of range.
+        @note   While dim() or a low setBrightness() level is in effect the
+                new periods are kept and sent once the brightness is raised.
+    */
+    /**************************************************************************/
+    setPrecharge(phase1, phase2) {
+        const self = this;
+        self._precharge = prechargeSetting(phase1, phase2);
+        if (!self._isLowBrightness()) {
+            self._currentPrecharge = self._precharge;
+            self.oled_commandList([SSD1315_SET_PRECHARGE, self._precharge]);
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set the VCOMH deselect level used at normal brightness.
+        @param  level  0x00 (~0.65 x VCC), 0x10 (~0.71), 0x20 (~0.77) or
+                       0x30 (~0.83).
+        @return this
+        @throws Error if the level is not one of these.
+        @note   Deferred like setPrecharge() while the brightness is low.
+    */
+    /**************************************************************************/
+    setVcomh(level) {
+        const self = this;
+        self._vcomh = vcomhSetting(level);
+        if (!self._isLowBrightness()) {
+            self._currentVcomh = self._vcomh;
+            self.oled_commandList([SSD1315_SET_VCOM_DETECT, self._vcomh]);
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set the charge pump voltage - lower voltages draw less current
+                at the cost of brightness.
+        @param  voltage  6, 7.5, 8.5 or 9 volts.
+        @return this
+        @throws Error if the voltage is not one of these or the display uses
+                EXTERNALVCC.
+    */
+    /**************************************************************************/
+    setChargePump(voltage) {
+        const self = this;
+        if (SSD1315_EXTERNALVCC === self._vccSelection) {
+            throw new Error("Charge pump is not used with EXTERNALVCC");
+        }
+        self._chargePump = chargePumpSetting(voltage);
+        return self.oled_commandList([SSD1315_CHARGE_PUMP, self._chargePump]);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Select the reference current (IREF) setting the segment
+                current - the internal 19.5uA reference lowers the current
+                draw compared to 30uA.
+        @param  selection  "external", "19.5uA" or "30uA".
+        @return this
+        @throws Error if the selection is unknown.
+    */
+    /**************************************************************************/
+    setIref(selection) {
+        const self = this;
+        self._iref = irefSetting(selection);
+        return self.oled_commandList([SSD1315_SET_IREF, self._iref]);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the analog settings in the units of the options and
+                setters.
+        @return {oscillatorFrequency, clockDivide, prechargePhase1,
+                 prechargePhase2, vcomh, chargePumpVoltage, iref}
+                chargePumpVoltage is null with EXTERNALVCC.
+    */
+    /**************************************************************************/
+    getAnalogSettings() {
+        const self = this, find = (table, value) => Object.keys(table).find(key => table[key] === value);
+        const chargePump = find(SSD1315_CHARGE_PUMP_VOLTAGES, self._chargePump);
+        return {
+            oscillatorFrequency: self._clockDiv >> 4,
+            clockDivide: (self._clockDiv & 0x0F) + 1,
+            prechargePhase1: self._precharge & 0x0F,
+            prechargePhase2: self._precharge >> 4,
+            vcomh: self._vcomh,
+            chargePumpVoltage: (SSD1315_EXTERNALVCC === self._vccSelection) ? null : Number(chargePump),
+            iref: find(SSD1315_IREF_SELECTIONS, self._iref)
+        };
+    }
+
+
+    /**************************************************************************/
+    // Protected method to check whether dim() or a low brightness level has
+    // replaced the normal precharge and VCOMH.
+    /**************************************************************************/
+    _isLowBrightness() {
+        const self = this;
+        return self._dimmed || ((self._brightness !== null) && (self._brightness < SSD1315_BRIGHTNESS_LOW_LEVEL));
+    }
+
+
+    // POWER MANAGEMENT --------------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Put the panel to sleep - display off, then the charge pump off,
+                followed by the datasheet delay before VCC may be removed.
+                GDDRAM, the buffer and the other settings are kept, and
+                drawing and display() keep working while asleep.
+        @return this
+        @note   An active hardware scroll is stopped and restarted by wake().
+    */
+    /**************************************************************************/
+    sleep() {
+        const self = this;
+        if (self._sleeping) {
+            return self;
+        }
+        self._clearIdleTimer();
+        self._sleeping = true;
+        self._scrollCommands && self.oled_command(SSD1315_DEACTIVATE_SCROLL);
+        self.oled_commandList([SSD1315_DISPLAY_OFF,
+                               SSD1315_CHARGE_PUMP, SSD1315_CHARGE_PUMP_DISABLE]);
+        self._chain(_ => delay(SSD1315_POWER_OFF_DELAY_MS));
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Wake the panel from sleep() - charge pump on, then display on,
+                followed by the datasheet delay for the charge pump to settle.
+                The invert state is sent again, and an active hardware scroll
+                is restarted after rewriting the GDDRAM it had moved.
+        @return this
+    */
+    /**************************************************************************/
+    wake() {
+        const self = this;
+        if (!self._sleeping) {
+            return self;
+        }
+        self._sleeping = false;
+        self._autoSlept = false;
+        if (self._scrollCommands) {
+            self._invalidatePanel();
+            self.display();
+        }
+        self._sendInvert();
+        self.oled_commandList([SSD1315_CHARGE_PUMP, self._chargePump & 0xFF,
+                               SSD1315_DISPLAY_ON]);
+        self._chain(_ => delay(SSD1315_POWER_ON_DELAY_MS));
+        self._scrollCommands && self.oled_commandList(self._scrollCommands);
+        // Count idle time from when the panel is on again.
+        self._clearIdleTimer();
+        self._chain(async _ => {
+            self._armIdleTimer();
+        });
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get whether the panel is asleep.
+        @return boolean
+    */
+    /**************************************************************************/
+    isSleeping() {
+        return this._sleeping;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Put the panel to sleep after a time without display() calls.
+                The next display() then wakes it again.
+        @param  ms  Idle time in milliseconds, 0 to disable.
+        @return this
+        @throws Error if the time is invalid.
+    */
+    /**************************************************************************/
+    setIdleSleep(ms) {
+        const self = this;
+        self._idleSleepMs = idleSleepSetting(ms);
+        self._armIdleTimer();
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method called after data was flushed to wake an idle panel
+    // or restart its idle timer.
+    /**************************************************************************/
+    _noteFlush() {
+        const self = this;
+        if (!self._sleeping) {
+            self._armIdleTimer();
+        } else if (self._autoSlept) {
+            self.wake();
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to (re)start the idle timer.
+    /**************************************************************************/
+    _armIdleTimer() {
+        const self = this;
+        self._clearIdleTimer();
+        if ((self._idleSleepMs > 0) && !self._sleeping) {
+            self._idleTimer = setTimeout(() => {
+                self._idleTimer = null;
+                self.sleep();
+                self._autoSlept = true;
+            }, self._idleSleepMs);
+            // A pending idle sleep should not keep the process alive.
+            self._idleTimer.unref && self._idleTimer.unref();
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to stop the idle timer.
+    /**************************************************************************/
+    _clearIdleTimer() {
+        const self = this;
+        self._idleTimer && clearTimeout(self._idleTimer);
+        self._idleTimer = null;
+        return self;
+    }
+
+
+    // BURN-IN GUARD -----------------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Start moving the image around by a pixel or two at an
+                interval, and optionally inverting it on a schedule, to
+                spread the wear of a static layout over more pixels.  The
+                buffer and drawing coordinates are not affected.
+        @param  options  (optional)
+                options.intervalMs (default 60000)
+                   Time between shifts.
+                options.maxShiftX / options.maxShiftY (default 1)
+                   Largest shift in pixels either way, 0..8.  The image walks
+                   over every position in this range.
+                options.invertIntervalMs (default 0 - off)
+                   Time between toggling the hardware inversion on top of
+                   invertDisplay().
+        @return this
+        @throws Error if an option is out of range.
+        @note   Rows are shifted with the display offset and columns by
+                writing GDDRAM at other columns - columns shifted off the
+                glass are dropped and the columns shifted in are blank.  On
+                panels using all 64 rows the rows shifted off reappear on
+                the other edge, so keep a blank margin of maxShiftY rows.
+                Shifts re-send what the panel shows, never pending drawing,
+                do not restart the idle sleep timer and are skipped while the
+                panel sleeps.
+    */
+    /**************************************************************************/
+    startBurnInGuard(options) {
+        const self = this;
+        options = Object.assign({}, options);
+        const intervalMs = extractOption(options, "intervalMs", 60000),
+              maxShiftX = extractOption(options, "maxShiftX", 1),
+              maxShiftY = extractOption(options, "maxShiftY", 1),
+              invertIntervalMs = extractOption(options, "invertIntervalMs", 0);
+        if ((typeof intervalMs !== "number") || !(intervalMs > 0) || !Number.isFinite(intervalMs)) {
+            throw new Error("Invalid burn-in guard interval specified");
+        }
+        if (!Number.isInteger(maxShiftX) || !Number.isInteger(maxShiftY) ||
+            (maxShiftX < 0) || (maxShiftX > 8) || (maxShiftY < 0) || (maxShiftY > 8)) {
+            throw new Error("Invalid burn-in guard shift specified");
+        }
+        if ((typeof invertIntervalMs !== "number") || !(invertIntervalMs >= 0) || !Number.isFinite(invertIntervalMs)) {
+            throw new Error("Invalid burn-in guard invert interval specified");
+        }
+        self.stopBurnInGuard();
+
+        // Walk the rows of the shift range back and forth so every step
+        // moves the image by one pixel, starting from no shift.
+        const positions = [];
+        for (let y = -maxShiftY; y <= maxShiftY; y++) {
+            for (let i = -maxShiftX; i <= maxShiftX; i++) {
+                positions.push({x: ((y + maxShiftY) & 1) ? -i : i, y});
+            }
+        }
+        const guard = {positions, index: positions.findIndex(p => !p.x && !p.y), shiftTimer: null, invertTimer: null};
+        const unref = timer => (timer.unref && timer.unref(), timer);
+        guard.shiftTimer = unref(setInterval(() => {
+            // Nothing wears while the panel is off.
+            if (self._sleeping) return;
+            guard.index = (guard.index + 1) % positions.length;
+            self._setBurnInShift(positions[guard.index]);
+        }, intervalMs));
+        if (invertIntervalMs > 0) {
+            guard.invertTimer = unref(setInterval(() => {
+                self._guardInverted = !self._guardInverted;
+                self._sendInvert();
+            }, invertIntervalMs));
+        }
+        self._burnInGuard = guard;
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Stop the burn-in guard and put the image back in place.
+        @return this
+    */
+    /**************************************************************************/
+    stopBurnInGuard() {
+        const self = this, guard = self._burnInGuard;
+        if (guard) {
+            clearInterval(guard.shiftTimer);
+            guard.invertTimer && clearInterval(guard.invertTimer);
+            self._burnInGuard = null;
+            self._setBurnInShift({x: 0, y: 0});
+            if (self._guardInverted) {
+                self._guardInverted = false;
+                self._sendInvert();
+            }
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the current shift of the image by the burn-in guard.
+        @return {x, y} in panel pixels, positive is right/down on the glass
+                whether or not it is mirrored by setFlipX()/setFlipY().
+    */
+    /**************************************************************************/
+    getBurnInShift() {
+        const self = this;
+        return {x: self._shiftX, y: self._shiftY};
+    }
+
+
+    /**************************************************************************/
+    // Protected method to move the image.  Rows move through the display
+    // offset without any data.  Columns move by re-sending what the panel
+    // shows at the new columns.  Pending drawing is not flushed and the idle
+    // timer is not restarted.
+    /**************************************************************************/
+    _setBurnInShift(shift) {
+        const self = this;
+        if (shift.y !== self._shiftY) {
+            self._shiftY = shift.y;
+            self.oled_commandList([SSD1315_SET_DISPLAY_OFFSET, self._displayOffsetRegister()]);
+        }
+        if (shift.x !== self._shiftX) {
+            self._shiftX = shift.x;
+            self._resendShifted();
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to write the data last sent to the panel at the
+    // shifted columns and clear the glass columns no longer covered.  The
+    // data is sent from a copy as flushes queued after it update
+    // _sentBuffer before the transport may read it.
+    /**************************************************************************/
+    _resendShifted() {
+        const self = this, w = self.WIDTH, pages = toInt((self.HEIGHT + 7) / 8), dx = self._ramShiftX();
+        if (dx) {
+            const first = (dx > 0) ? 0 : (w + dx), columns = Math.abs(dx), colOffset = self._ramColumnOffset();
+            self.oled_commandList([SSD1315_PAGE_ADDR,
+                                   self.page_offset & 0x07,
+                                   (self.page_offset + pages - 1) & 0x07,
+                                   SSD1315_COLUMN_ADDR,
+                                   (first + colOffset) & 0x7F,
+                                   (first + colOffset + columns - 1) & 0x7F]);
+            self.oled_data(new Uint8Array(columns * pages));
+        }
+        return self._writeWindow(self._sentBuffer.slice(), 0, w - 1, 0, pages - 1);
+    }
+
+
+    /**************************************************************************/
+    // Protected method to get the display offset register value including
+    // the burn-in guard's row shift.
+    /**************************************************************************/
+    _displayOffsetRegister() {
+        const self = this;
+        return (self.display_offset - (self._flipY ? -self._shiftY : self._shiftY)) & 0x3F;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to send the hardware inversion - invertDisplay()
+    // toggled by the burn-in guard's schedule.
+    /**************************************************************************/
+    _sendInvert() {
+        const self = this;
+        return self.oled_command((self._inverted !== self._guardInverted) ? SSD1315_INVERT_DISPLAY : SSD1315_NORMAL_DISPLAY);
+    }
+
+
+    // FRAMEBUFFER EXPORT ------------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Convert the buffer to a row-major frame as seen in the current
+                rotation.
+        @param  options  (optional)
+                options.invert (default isInverted())
+                   Show lit pixels dark, as invertDisplay() does.
+        @return frame  {width, height, data} where data holds 1 for every
+                lit pixel and 0 otherwise - see Image_Codec.
+    */
+    /**************************************************************************/
+    toFrame(options) {
+        const self = this, WIDTH = self.WIDTH, buffer = self._buffer;
+        options = Object.assign({}, options);
+        const invert = extractOption(options, "invert", self._inverted) ? 1 : 0;
+        const width = self.width(), height = self.height(), data = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const point = self._logicalToBufferPoint(x, y);
+                data[y * width + x] = ((buffer[(point.y >> 3) * WIDTH + point.x] >> (point.y & 7)) & 1) ^ invert;
+            }
+        }
+        return {width, height, data};
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Export the buffer as a PBM image - see toFrame().
+        @param  options  (optional)
+                options.plain (default false)
+                   Write the ASCII 'P1' variant instead of binary 'P4'.
+                options.invert - see toFrame().
+        @return Buffer
+    */
+    /**************************************************************************/
+    toPBM(options) {
+        const self = this;
+        return Image_Codec.encodePBM(self.toFrame(options), !!(options && options.plain));
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Export the buffer as a 1-bit PNG image - see toFrame().
+        @param  options  (optional) - see toFrame().
+        @return Buffer
+    */
+    /**************************************************************************/
+    toPNG(options) {
+        return Image_Codec.encodePNG(this.toFrame(options));
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Render the buffer as text, one character per pixel - see
+                toFrame().
+        @param  options  (optional)
+                options.on (default "#") / options.off (default ".")
+                   Characters for lit and dark pixels.
+                options.invert - see toFrame().
+        @return string with one line per row.
+    */
+    /**************************************************************************/
+    toAscii(options) {
+        const self = this, frame = self.toFrame(options), lines = [];
+        options = Object.assign({}, options);
+        const on = extractOption(options, "on", "#"), off = extractOption(options, "off", ".");
+        for (let y = 0; y < frame.height; y++) {
+            let line = "";
+            for (let x = 0; x < frame.width; x++) {
+                line += frame.data[y * frame.width + x] ? on : off;
+            }
+            lines.push(line);
+        }
+        return lines.join("\n");
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Render the buffer as Unicode braille characters, each showing
+                2x4 pixels, for a compact view in a terminal or log - see
+                toFrame().
+        @param  options  (optional) - see toFrame().
+        @return string with one line per 4 rows.
+    */
+    /**************************************************************************/
+    toBraille(options) {
+        const self = this, frame = self.toFrame(options), width = frame.width, height = frame.height, lines = [];
+        for (let y = 0; y < height; y += 4) {
+            let line = "";
+            for (let x = 0; x < width; x += 2) {
+                let dots = 0;
+                for (let i = 0; i < 8; i++) {
+                    const [dx, dy] = SSD1315_BRAILLE_DOTS[i], px = x + dx, py = y + dy;
+                    if ((px < width) && (py < height) && frame.data[py * width + px]) {
+                        dots |= (1 << i);
+                    }
+                }
+                line += String.fromCharCode(SSD1315_BRAILLE_BASE + dots);
+            }
+            lines.push(line);
+        }
+        return lines.join("\n");
+    }
+
+
+    /***********************************************/
+    /***********************************************/
+    /***********************************************/
+    /* GFX implementations */
+
+
+    // DRAWING FUNCTIONS -------------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set/clear/invert a single pixel. This is also invoked by the
+                Adafruit_GFX library in generating many higher-level graphics
+                primitives.
+        @param  x
+                Column of display -- 0 at left to (screen width - 1) at right.
+        @param  y
+                Row of display -- 0 at top to (screen height -1) at bottom.
+        @param  color
+                Pixel color, one of: SSD1315_BLACK, SSD1315_WHITE or SSD1315_INVERSE.
+        @return this
+        @note   Overrides Adafruit_GrayOLED so the pixel is added to the dirty
+                regions.  Changes buffer contents only, no immediate effect on
+                display.
+    */
+    /**************************************************************************/
+    drawPixel(x, y, color) {
+        const self = this,
+            rotation = self.rotation,
+            WIDTH = self.WIDTH,
+            HEIGHT = self.HEIGHT;
+
+        if ((x >= 0) && (x < self.width()) && (y >= 0) && (y < self.height())) {
+            // Pixel is in-bounds. Rotate coordinates if needed.
+            switch (rotation) {
+                case 1:
+                    (((x) ^= (y)), ((y) ^= (x)), ((x) ^= (y))); // No-temp-var swap operation
+                    x = WIDTH - x - 1;
+                    break;
+                case 2:
+                    x = WIDTH - x - 1;
+                    y = HEIGHT - y - 1;
+                    break;
+                case 3:
+                    (((x) ^= (y)), ((y) ^= (x)), ((x) ^= (y))); // No-temp-var swap operation
+                    y = HEIGHT - y - 1;
+                    break;
+            }
+            self._markDirtySpan(x, y, x, y);
+            const index = x + (y >> 3) * WIDTH, mask = (1 << (y & 7));
+            switch (color) {
+                case SSD1315_WHITE:
+                    self._buffer[index] |= mask;
+                    break;
+                case SSD1315_BLACK:
+                    self._buffer[index] &= ~mask;
+                    break;
+                case SSD1315_INVERSE:
+                    self._buffer[index] ^= mask;
+                    break;
+            }
+        }
+        return self;
+    }
 
 
     /**************************************************************************/
@@ -490,22 +2746,254 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
     }
 
 
+    /**************************************************************************/
+    /*!
+        @brief  Draw an image converted to 1 bit per pixel, e.g. a logo or a
+                photo - see Image_Dither.
+        @param  x
+                Leftmost column of the image.
+        @param  y
+                Top row of the image.
+        @param  image
+                PNG or PBM/PGM/PPM file content, or raw pixels
+                {width, height, data} with grayscale or RGBA bytes.
+        @param  options  (optional)
+                options.width / options.height (default the image size)
+                   Scale the image to this size.  When only one is given the
+                   other keeps the aspect ratio.
+                options.dither (default "threshold")
+                   "threshold", "floyd-steinberg", "atkinson" or "bayer".
+                options.threshold, options.bayerSize, options.invert
+                   See Image_Dither.ditherGrayscale().
+                options.color (default SSD1315_WHITE)
+                   Color of the lit pixels.
+                options.background (default SSD1315_BLACK)
+                   Color of the other pixels, null to leave them unchanged.
+        @return this
+        @throws Error if the image cannot be decoded or an option is invalid.
+        @note   Changes buffer contents only, no immediate effect on display.
+                Follow up with a call to display(), or with other graphics
+                commands as needed by one's own application.
+    */
+    /**************************************************************************/
+    drawImage(x, y, image, options) {
+        const self = this, WIDTH = self.WIDTH, buffer = self._buffer;
+        options = Object.assign({}, options);
+        const frame = Image_Dither.convertImage(image, options);
+        const color = extractOption(options, "color", SSD1315_WHITE),
+              background = extractOption(options, "background", SSD1315_BLACK);
+        const width = self.width(), height = self.height();
+        x = toInt(x);
+        y = toInt(y);
+
+        for (let row = 0; row < frame.height; row++) {
+            const ly = y + row;
+            if ((ly < 0) || (ly >= height)) continue;
+            for (let column = 0; column < frame.width; column++) {
+                const lx = x + column;
+                if ((lx < 0) || (lx >= width)) continue;
+                const pixelColor = frame.data[row * frame.width + column] ? color : background;
+                if (pixelColor === null) continue;
+                const point = self._logicalToBufferPoint(lx, ly),
+                      index = (point.y >> 3) * WIDTH + point.x,
+                      mask = 1 << (point.y & 7);
+                switch (pixelColor) {
+                    case SSD1315_WHITE:
+                        buffer[index] |= mask;
+                        break;
+                    case SSD1315_BLACK:
+                        buffer[index] &= ~mask;
+                        break;
+                    case SSD1315_INVERSE:
+                        buffer[index] ^= mask;
+                        break;
+                }
+            }
+        }
+        const rect = self._logicalToBufferRect(x, y, frame.width, frame.height);
+        rect && self._markDirty(rect.x1, rect.y1, rect.x2, rect.y2);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Draw a bitmap that is already in page format - the layout of
+                the display buffer, e.g. from ssd1315-bitmap --format page.
+                Bytes are copied straight into the buffer, shifted when y is
+                not a multiple of 8.
+        @param  x
+                Leftmost column of the bitmap.
+        @param  y
+                Top row of the bitmap.
+        @param  data
+                w bytes per page of 8 rows, ceil(h / 8) pages, with the top
+                row of each page in the LSB.
+        @param  w
+                Width of the bitmap, in pixels.
+        @param  h
+                Height of the bitmap, in pixels.
+        @param  mode (default "copy")
+                "copy" to replace the pixels under the bitmap, or "or",
+                "and" or "xor" to combine the bitmap with them.
+        @return this
+        @throws Error if the bitmap or mode is invalid.
+        @note   Fastest in rotation 0, where a full screen copy is a single
+                buffer copy.  Other rotations re-pack the bitmap first.
+                Changes buffer contents only, no immediate effect on display.
+    */
+    /**************************************************************************/
+    drawPageBitmap(x, y, data, w, h, mode) {
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT, buffer = self._buffer;
+        mode = (mode === undefined) ? "copy" : mode;
+        if (!SSD1315_BLIT_MODES.includes(mode)) {
+            throw new Error("Unknown blit mode " + mode);
+        }
+        if (!Number.isInteger(w) || !Number.isInteger(h) || (w <= 0) || (h <= 0) ||
+            !data || (data.length < w * toInt((h + 7) / 8))) {
+            throw new Error("Invalid page bitmap specified");
+        }
+        x = toInt(x);
+        y = toInt(y);
+
+        // Full screen copy, e.g. animation playback.
+        if ((self.rotation === 0) && (x === 0) && (y === 0) && (w === WIDTH) && (h === HEIGHT) && !(HEIGHT & 7) && (mode === "copy")) {
+            buffer.set((data instanceof Uint8Array) ? data.subarray(0, buffer.length) : data.slice(0, buffer.length));
+            self._setMaxDirtyWindow();
+            return self;
+        }
+
+        switch (self.rotation) {
+            case 1:
+                self._blitPages(WIDTH - (y + h), x, self._rotatePageBitmap(data, w, h, (c, r) => [h - 1 - r, c]), h, w, mode);
+                break;
+            case 2:
+                self._blitPages(WIDTH - (x + w), HEIGHT - (y + h), self._rotatePageBitmap(data, w, h, (c, r) => [w - 1 - c, h - 1 - r]), w, h, mode);
+                break;
+            case 3:
+                self._blitPages(y, HEIGHT - (x + w), self._rotatePageBitmap(data, w, h, (c, r) => [r, w - 1 - c]), h, w, mode);
+                break;
+            default:
+                self._blitPages(x, y, data, w, h, mode);
+                break;
+        }
+        const rect = self._logicalToBufferRect(x, y, w, h);
+        rect && self._markDirty(rect.x1, rect.y1, rect.x2, rect.y2);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to re-pack a page bitmap for the buffer orientation.
+    // toBuffer(column, row) returns the [x, y] of a bitmap pixel in the
+    // re-packed bitmap.
+    /**************************************************************************/
+    _rotatePageBitmap(data, w, h, toBuffer) {
+        const swap = (this.rotation & 1), bw = swap ? h : w, bh = swap ? w : h;
+        const rotated = new Uint8Array(bw * toInt((bh + 7) / 8));
+        for (let row = 0; row < h; row++) {
+            const page = (row >> 3) * w, bit = 1 << (row & 7);
+            for (let column = 0; column < w; column++) {
+                if (data[page + column] & bit) {
+                    const [bx, by] = toBuffer(column, row);
+                    rotated[(by >> 3) * bw + bx] |= (1 << (by & 7));
+                }
+            }
+        }
+        return rotated;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to combine a page bitmap with the buffer at buffer
+    // coordinates (x, y), clipped to the buffer.  Each source byte lands in
+    // at most two buffer bytes when y is not page aligned.
+    /**************************************************************************/
+    _blitPages(x, y, data, w, h, mode) {
+        const self = this, WIDTH = self.WIDTH, pages = toInt((self.HEIGHT + 7) / 8), buffer = self._buffer;
+        const sourcePages = toInt((h + 7) / 8), shift = y & 7, firstPage = y >> 3;
+        // Rows of a partial last page past HEIGHT are not on the display.
+        const rowMask = page => ((page === pages - 1) && (self.HEIGHT & 7)) ? ((1 << (self.HEIGHT & 7)) - 1) : 0xFF;
+        const columnStart = fMax(0, -x), columnEnd = fMin(w, WIDTH - x);
+
+        const combine = (index, bits, mask) => {
+            switch (mode) {
+                case "or":
+                    buffer[index] |= bits;
+                    break;
+                case "and":
+                    buffer[index] &= (bits | ~mask);
+                    break;
+                case "xor":
+                    buffer[index] ^= bits;
+                    break;
+                default:
+                    buffer[index] = (buffer[index] & ~mask) | bits;
+                    break;
+            }
+        };
+
+        for (let sourcePage = 0; sourcePage < sourcePages; sourcePage++) {
+            // Rows of the last page past h are not part of the bitmap.
+            const rows = fMin(8, h - sourcePage * 8), mask = (rows === 8) ? 0xFF : ((1 << rows) - 1);
+            const lowPage = firstPage + sourcePage, highPage = lowPage + 1;
+            const lowMask = (mask << shift) & rowMask(lowPage), highMask = shift ? ((mask >> (8 - shift)) & rowMask(highPage)) : 0;
+            const lowValid = (lowPage >= 0) && (lowPage < pages) && lowMask,
+                  highValid = (highPage >= 0) && (highPage < pages) && highMask;
+            if (!lowValid && !highValid) continue;
+            for (let column = columnStart; column < columnEnd; column++) {
+                const bits = data[sourcePage * w + column] & mask;
+                lowValid && combine(lowPage * WIDTH + x + column, (bits << shift) & lowMask, lowMask);
+                highValid && combine(highPage * WIDTH + x + column, (bits >> (8 - shift)) & highMask, highMask);
+            }
+        }
+        return self;
+    }
+
+
     // SCROLLING FUNCTIONS -----------------------------------------------------
+    //
+    // Rows, columns and directions are logical (rotation-aware).  They are
+    // translated to the pages, columns and scroll command of the panel.
 
     /**************************************************************************/
     /*!
         @brief  Activate a right-handed scroll for all or part of the display.
-        @param  start
-                First row.
-        @param  stop
-                Last row.
+        @param  start (default 0)
+                First logical row.
+        @param  stop (default height() - 1)
+                Last logical row.
+        @param  options  (optional)
+                options.speed (default 7)
+                   0 (one step every 128 frames) to 7 (one step every
+                   2 frames).  Steps in between are 64, 32, 6, 5, 4 and 3
+                   frames.
+                options.startColumn (default 0)
+                options.endColumn (default width() - 1)
+                   Logical columns that scroll, the others stay in place.
+                options.verticalOffset (default 1)
+                   Rows moved per step by diagonal, upward and downward
+                   scrolls.
+                options.areaTop (default start)
+                options.areaRows (default stop - start + 1)
+                   Logical rows affected by vertical scrolling in rotation 0
+                   and 2 - rows outside of the area stay fixed, e.g. for a
+                   static header.
         @return this
+        @throws Error if an option is out of range for the panel or the
+                panel cannot scroll this way in the current rotation.
+        @note   The panel scrolls horizontally in bands of 8 rows, so rows
+                moving along the panel's own columns (the logical rows in
+                rotation 0 and 2, the logical columns in rotation 1 and 3)
+                must start and end on those bands.
+        @note   Rows, columns and directions are those seen on the glass -
+                setFlipX()/setFlipY() mirror them like the rotation does.
     */
     /**************************************************************************/
-    // To scroll the whole display, run: display.startscrollright(0x00, 0x0F)
-    startscrollright(start, stop) {
+    // To scroll the whole display, run: display.startscrollright()
+    startscrollright(start, stop, options) {
         const self = this;
-        self._startScrollInternal("right", start, stop);
+        self._startScrollInternal("right", start, stop, options);
         return self;
     }
 
@@ -513,89 +3001,341 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
     /**************************************************************************/
     /*!
         @brief  Activate a left-handed scroll for all or part of the display.
-        @param  start
-                First row.
-        @param  stop
-                Last row.
+        @param  start (default 0)
+                First logical row.
+        @param  stop (default height() - 1)
+                Last logical row.
+        @param  options  (optional)
+                Scroll options - see startscrollright().
         @return this
     */
     /**************************************************************************/
-    // To scroll the whole display, run: display.startscrollleft(0x00, 0x0F)
-    startscrollleft(start, stop) {
+    // To scroll the whole display, run: display.startscrollleft()
+    startscrollleft(start, stop, options) {
         const self = this;
-        self._startScrollInternal("left", start, stop);
+        self._startScrollInternal("left", start, stop, options);
         return self;
     }
 
 
     /**************************************************************************/
     /*!
-        @brief  Activate a diagonal scroll for all or part of the display.
-        @param  start
-                First row.
-        @param  stop
-                Last row.
+        @brief  Activate a diagonal (up and right) scroll for all or part of
+                the display.
+        @param  start (default 0)
+                First logical row.
+        @param  stop (default height() - 1)
+                Last logical row.
+        @param  options  (optional)
+                Scroll options - see startscrollright().
         @return this
     */
     /**************************************************************************/
-    // display.startscrolldiagright(0x00, 0x0F)
-    startscrolldiagright(start, stop) {
+    // display.startscrolldiagright()
+    startscrolldiagright(start, stop, options) {
         const self = this;
-        self._startScrollInternal("right diagonal", start, stop);
+        self._startScrollInternal("right diagonal", start, stop, options);
         return self;
     }
 
 
     /**************************************************************************/
     /*!
-        @brief  Activate alternate diagonal scroll for all or part of the display.
-        @param  start
-                First row.
-        @param  stop
-                Last row.
+        @brief  Activate alternate diagonal (up and left) scroll for all or
+                part of the display.
+        @param  start (default 0)
+                First logical row.
+        @param  stop (default height() - 1)
+                Last logical row.
+        @param  options  (optional)
+                Scroll options - see startscrollright().
         @return this
     */
     /**************************************************************************/
-    // To scroll the whole display, run: display.startscrolldiagleft(0x00, 0x0F)
-    startscrolldiagleft(start, stop) {
+    // To scroll the whole display, run: display.startscrolldiagleft()
+    startscrolldiagleft(start, stop, options) {
         const self = this;
-        self._startScrollInternal("left diagonal", start, stop);
+        self._startScrollInternal("left diagonal", start, stop, options);
         return self;
     }
 
     /**************************************************************************/
     /*!
         @brief  Activate upward scroll for all or part of the display.
-        @param  start
-                First row.
-        @param  stop
-                Last row.
+        @param  start (default 0)
+                First logical row.
+        @param  stop (default height() - 1)
+                Last logical row.
+        @param  options  (optional)
+                Scroll options - see startscrollright().
+        @return this
+    */
+    /**************************************************************************/
+    // To scroll the whole display, run: display.startscrollup()
+    startscrollup(start, stop, options) {
+        const self = this;
+        self._startScrollInternal("up", start, stop, options);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Activate downward scroll for all or part of the display.
+        @param  start (default 0)
+                First logical row.
+        @param  stop (default height() - 1)
+                Last logical row.
+        @param  options  (optional)
+                Scroll options - see startscrollright().
         @return this
     */
     /**************************************************************************/
-    // To scroll the whole display, run: display.startscrolldiagleft(0x00, 0x0F)
-    startscrollup(start, stop) {
+    // To scroll the whole display, run: display.startscrolldown()
+    startscrolldown(start, stop, options) {
         const self = this;
-        self._startScrollInternal("up", start, stop);
+        self._startScrollInternal("down", start, stop, options);
         return self;
     }
 
 
     /**************************************************************************/
     /*!
-        @brief  Cease a previously-begun scrolling action.
+        @brief  Shift part of the display one column to the left with the
+                controller's one-shot content scroll.  The buffer is shifted
+                the same way so no refresh is needed afterwards.  The column
+                shifted out wraps around to the other side.
+        @param  start (default 0)
+                First logical row.
+        @param  stop (default height() - 1)
+                Last logical row.
+        @param  options  (optional)
+                options.startColumn (default 0)
+                options.endColumn (default width() - 1)
+                   Logical columns that move.
+        @return this
+        @throws Error if the panel cannot shift this way in the current
+                rotation.
+        @note   Leave at least two frames (about 20 ms with the default clock)
+                between steps.
+        @note   Rows, columns and the direction are those seen on the glass,
+                as for startscrollright().
+    */
+    /**************************************************************************/
+    scrollContentLeft(start, stop, options) {
+        return this._scrollContentInternal("left", start, stop, options);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Shift part of the display one column to the right - see
+                scrollContentLeft().
+        @param  start (default 0)
+                First logical row.
+        @param  stop (default height() - 1)
+                Last logical row.
+        @param  options  (optional)
+                See scrollContentLeft().
+        @return this
+    */
+    /**************************************************************************/
+    scrollContentRight(start, stop, options) {
+        return this._scrollContentInternal("right", start, stop, options);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Cease a previously-begun scrolling action.  Fade, blink and
+                zoom effects are ended too so the panel shows the buffer
+                as-is.
         @return this
     */
     /**************************************************************************/
     stopscroll() {
         const self = this;
         self.oled_command(SSD1315_DEACTIVATE_SCROLL);
+        self._scrollCommands = null;
+        self._stopEffects();
         // ensure full buffer is written on next call to display();
-        self._setMaxDirtyWindow();
+        self._invalidatePanel();
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set the GDDRAM row shown on the top row of the panel.  The
+                visible window wraps around the 64 rows of GDDRAM, so this
+                scrolls content vertically with a single command.
+        @param  line  Start line 0..63.
+        @return this
+        @throws Error if the line is out of range.
+    */
+    /**************************************************************************/
+    setStartLine(line) {
+        const self = this;
+        if (!Number.isInteger(line) || (line < 0) || (line >= SSD1315_GDDRAM_ROWS)) {
+            throw new Error("Invalid start line specified");
+        }
+        self.start_line = line;
+        return self.oled_command((SSD1315_SET_DISPLAY_START_LINE_BASE | line) & 0xFF);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the current display start line.
+        @return Start line 0..63.
+    */
+    /**************************************************************************/
+    getStartLine() {
+        return this.start_line;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Move the visible window through GDDRAM relative to the
+                current start line.
+        @param  pixels  Rows to scroll, positive moves content up.
+        @return this
+    */
+    /**************************************************************************/
+    scrollVertical(pixels) {
+        const self = this;
+        pixels = toInt(pixels);
+        const line = (((self.start_line + pixels) % SSD1315_GDDRAM_ROWS) + SSD1315_GDDRAM_ROWS) % SSD1315_GDDRAM_ROWS;
+        return self.setStartLine(line);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Create a ticker that scrolls new rows in from the bottom using
+                the display start line - see SSD1315_Ticker.
+        @return SSD1315_Ticker
+    */
+    /**************************************************************************/
+    createTicker() {
+        return new SSD1315_Ticker(this);
+    }
+
+
+    // FADE, BLINK AND ZOOM EFFECTS --------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Fade the panel out gradually.  The panel stays dark until
+                stopFade() is called.
+        @param  options  (optional)
+                options.interval (default 8)
+                   Frames per brightness step, a multiple of 8 from 8 to 128.
+        @return this
+        @throws Error if the interval is invalid.
+    */
+    /**************************************************************************/
+    fadeOut(options) {
+        return this._setFadeBlink("fade", SSD1315_FADE_OUT, options);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Repeatedly fade the panel out and back in.
+        @param  options  (optional)
+                options.interval (default 8)
+                   Frames per brightness step, a multiple of 8 from 8 to 128.
+        @return this
+        @throws Error if the interval is invalid.
+    */
+    /**************************************************************************/
+    blink(options) {
+        return this._setFadeBlink("blink", SSD1315_BLINK, options);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  End a fade-out or blink effect and restore full brightness.
+        @return this
+    */
+    /**************************************************************************/
+    stopFade() {
+        const self = this;
+        self._fadeEffect = null;
+        return self.oled_commandList([SSD1315_SET_FADE_BLINK, SSD1315_FADE_BLINK_DISABLE]);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the active fade-out or blink effect.
+        @return Object {mode: "fade"|"blink", interval} or null.
+    */
+    /**************************************************************************/
+    getFadeEffect() {
+        const effect = this._fadeEffect;
+        return effect ? Object.assign({}, effect) : null;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Enable or disable zoom-in mode, which shows the upper half of
+                the rows at double height.
+        @param  enabled  true to zoom in, false for normal display.
+        @return this
+        @note   Zoom needs the alternative COM pin configuration used by
+                128x64 panels.
+    */
+    /**************************************************************************/
+    setZoom(enabled) {
+        const self = this;
+        self._zoom = !!enabled;
+        return self.oled_commandList([SSD1315_SET_ZOOM, self._zoom ? 0x01 : 0x00]);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get whether zoom-in mode is enabled.
+        @return boolean
+    */
+    /**************************************************************************/
+    getZoom() {
+        return this._zoom;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to end any fade, blink or zoom effect that is active.
+    /**************************************************************************/
+    _stopEffects() {
+        const self = this;
+        self._fadeEffect && self.stopFade();
+        self._zoom && self.setZoom(false);
         return self;
     }
 
 
+    /**************************************************************************/
+    // Protected method to start a fade-out or blink effect.
+    /**************************************************************************/
+    _setFadeBlink(mode, modeBits, options) {
+        const self = this;
+        options = Object.assign({}, options);
+        const interval = extractOption(options, "interval", 8);
+        if (!Number.isInteger(interval) || (interval < 8) || (interval > 128) || (interval & 0x07)) {
+            throw new Error("Invalid fade interval specified");
+        }
+        self._fadeEffect = {mode, interval};
+        return self.oled_commandList([SSD1315_SET_FADE_BLINK, (modeBits | ((interval >> 3) - 1)) & 0x3F]);
+    }
+
+
     /*!
         @brief  Draw a horizontal line with a width and color. Used by public
        methods drawFastHLine,drawFastVLine
@@ -630,10 +3370,7 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
             }
             if (w > 0) { // Proceed only if width is positive
                 // adjust dirty window as buffer will be modified.
-                self.window_x1 = fMin(self.window_x1, x);
-                self.window_y1 = fMin(self.window_y1, y);
-                self.window_x2 = fMax(self.window_x2, (x + w - 1));
-                self.window_y2 = fMax(self.window_y2, y);
+                self._markDirty(x, y, x + w - 1, y);
 
                 let index = x + toInt(y / 8) * WIDTH;
                 const value = (1 << (y & 7));
@@ -692,10 +3429,7 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
             }
             if (h > 0) { // Proceed only if height is now positive
                 // adjust dirty window as buffer will be modified.
-                self.window_x1 = fMin(self.window_x1, x);
-                self.window_y1 = fMin(self.window_y1, y);
-                self.window_x2 = fMax(self.window_x2, x);
-                self.window_y2 = fMax(self.window_y2, (y + h - 1));
+                self._markDirty(x, y, x, y + h - 1);
 
                 // this display doesn't need ints for coordinates,
                 // use local byte registers for faster juggling
@@ -780,16 +3514,138 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
     }
 
 
+    /**************************************************************************/
+    // Protected method to translate a logical scroll direction and the
+    // logical rows (plus options.startColumn/endColumn) to move into the
+    // panel direction {panelX, panelY} (-1, 0 or 1 each, y downwards) and
+    // a rectangle in buffer coordinates.  Like the rotation, flipX/flipY
+    // are applied so the scroll happens where and in the direction seen on
+    // the glass.  Rows moved horizontally by the panel must be whole pages.
+    /**************************************************************************/
+    _scrollTarget(dir, startRow, stopRow, options) {
+        const self = this,
+            HEIGHT = self.HEIGHT,
+            rotation = self.rotation,
+            width = self.width(),
+            height = self.height();
+
+        startRow = (startRow === undefined) ? 0 : startRow;
+        stopRow = (stopRow === undefined) ? height - 1 : stopRow;
+        if (!Number.isInteger(startRow) || !Number.isInteger(stopRow) ||
+            (startRow < 0) || (stopRow >= height) || (startRow > stopRow)) {
+            throw new Error("Invalid scroll rows specified");
+        }
+
+        const startColumn = extractOption(options, "startColumn", 0),
+              endColumn = extractOption(options, "endColumn", width - 1);
+        if (!Number.isInteger(startColumn) || !Number.isInteger(endColumn) ||
+            (startColumn < 0) || (endColumn >= width) || (startColumn > endColumn)) {
+            throw new Error("Invalid scroll columns specified");
+        }
+
+        // Logical direction to panel direction - x to the right, y downwards.
+        const [dirX, dirY] = SSD1315_SCROLL_DIRECTIONS[dir];
+        let panelX, panelY;
+        switch (rotation) {
+            case 1:
+                panelX = -dirY;
+                panelY = dirX;
+                break;
+            case 2:
+                panelX = -dirX;
+                panelY = -dirY;
+                break;
+            case 3:
+                panelX = dirY;
+                panelY = -dirX;
+                break;
+            default:
+                panelX = dirX;
+                panelY = dirY;
+                break;
+        }
+        let rect = self._logicalToBufferRect(startColumn, startRow, endColumn - startColumn + 1, stopRow - startRow + 1);
+
+        // The hardware mirrors GDDRAM on its way to the glass.
+        if (self._flipX) {
+            panelX = -panelX;
+            rect = {x1: self.WIDTH - 1 - rect.x2, y1: rect.y1, x2: self.WIDTH - 1 - rect.x1, y2: rect.y2};
+        }
+        if (self._flipY) {
+            panelY = -panelY;
+            rect = {x1: rect.x1, y1: HEIGHT - 1 - rect.y2, x2: rect.x2, y2: HEIGHT - 1 - rect.y1};
+        }
+
+        // Horizontal scrolling moves whole pages.
+        if (panelX && (((rect.y1 & 0x07) !== 0) || ((rect.y2 !== HEIGHT - 1) && (((rect.y2 + 1) & 0x07) !== 0)))) {
+            throw new Error("Cannot scroll " + dir + " in rotation " + rotation + ": the " +
+                            ((rotation & 1) ? "columns" : "rows") + " must start and end on a multiple of 8");
+        }
+        return {panelX, panelY, rect};
+    }
+
+
+    /**************************************************************************/
+    // Protected method to shift a band of pages one column on the panel and
+    // in every host copy of GDDRAM.  Dirty regions touching the band are
+    // grown to the band as their content moved with it.
+    /**************************************************************************/
+    _scrollContentInternal(dir, startRow, stopRow, options) {
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT, rotation = self.rotation;
+        options = Object.assign({}, options);
+
+        const {panelX, panelY, rect} = self._scrollTarget(dir, startRow, stopRow, options);
+        if (panelY) {
+            throw new Error("Cannot scroll content " + dir + " in rotation " + rotation + ": the panel only shifts columns");
+        }
+        const right = (panelX > 0), pageStart = rect.y1 >> 3, pageEnd = rect.y2 >> 3;
+        const band = {x1: rect.x1, y1: pageStart * 8, x2: rect.x2, y2: fMin(pageEnd * 8 + 7, HEIGHT - 1)};
+
+        [self._buffer, self._frontBuffer, self._shadow, self._sentBuffer].forEach(buffer => {
+            if (!buffer) return;
+            for (let page = pageStart; page <= pageEnd; page++) {
+                const start = page * WIDTH + band.x1, end = page * WIDTH + band.x2;
+                if (right) {
+                    const last = buffer[end];
+                    buffer.copyWithin(start + 1, start, end);
+                    buffer[start] = last;
+                } else {
+                    const first = buffer[start];
+                    buffer.copyWithin(start, start + 1, end + 1);
+                    buffer[end] = first;
+                }
+            }
+        });
+
+        const touches = r => (r.x1 <= band.x2) && (band.x1 <= r.x2) && (r.y1 <= band.y2) && (band.y1 <= r.y2);
+        self._getDirtyRegions().some(touches) && self._markDirty(band.x1, band.y1, band.x2, band.y2);
+        if (self._frontRegions.some(touches)) {
+            self._frontRegions.push(band);
+            self._mergeDirtyRegions(self._frontRegions);
+        }
+
+        return self.oled_commandList([right ? SSD1315_CONTENT_SCROLL_RIGHT : SSD1315_CONTENT_SCROLL_LEFT,
+                                      0x00,
+                                      (pageStart + self.page_offset) & 0x07,
+                                      0x01,
+                                      (pageEnd + self.page_offset) & 0x07,
+                                      0x00,
+                                      (band.x1 + self._ramColumnOffset()) & 0xFF,
+                                      (band.x2 + self._ramColumnOffset()) & 0xFF]);
+    }
+
+
     // This function is a combination of various adafruit functions all rolled up into 1
     // Turns out if you specify diagonal scrolling, if the vertical increment is set to 0,
     // diagonal scrolling behaves same as horizontal scrolling.
-    // activate scrolling for rows start through stop
-    // TODO - URGENT - WORK IN PROGRESS. - if rotation == 2 must flip start and stop page.
+    // activate scrolling for logical rows start through stop
 
-    _startScrollInternal(dir, startPage, stopPage) {
+    _startScrollInternal(dir, startRow, stopRow, options) {
         const self = this,
-            WIDTH = self.WIDTH & 0xFF,
-            HEIGHT = self.HEIGHT & 0xFF;
+            HEIGHT = self.HEIGHT,
+            rotation = self.rotation,
+            height = self.height();
+        options = Object.assign({}, options);
 
         //000b – 6 frames - choppier than 4 frames
         //001b – 32 frames - slower than 25
@@ -799,53 +3655,77 @@ class Adafruit_SSD1315 extends Adafruit_GrayOLED {
         //101b – 4 frames - a little choppy.
         //110b – 5 frame - teensie bit choppy but not bad.
         //111b – 2 frame - very smooth and fast
-        let frames = 0x07;
-        let verticalIncrement = 0x01;
-        let horizontalIncrement = 0x01;
-        verticalIncrement = Math.min(verticalIncrement, HEIGHT);
+        const speed = extractOption(options, "speed", SSD1315_SCROLL_SPEED_FRAMES.length - 1);
+        if (!Number.isInteger(speed) || (speed < 0) || (speed >= SSD1315_SCROLL_SPEED_FRAMES.length)) {
+            throw new Error("Invalid scroll speed specified");
+        }
+        const frames = SSD1315_SCROLL_SPEED_FRAMES[speed];
 
-        self.oled_commandList([SSD1315_DEACTIVATE_SCROLL, SSD1315_SET_VERTICAL_SCROLL_AREA, 0x00, HEIGHT]);
-        let scrollCommand = SSD1315_VERTICAL_AND_LEFT_HORIZONTAL_SCROLL;
+        const verticalOffset = extractOption(options, "verticalOffset", 0x01);
+        if (!Number.isInteger(verticalOffset) || (verticalOffset < 0) || (verticalOffset > 0x3F)) {
+            throw new Error("Invalid scroll vertical offset specified");
+        }
+
+        startRow = (startRow === undefined) ? 0 : startRow;
+        stopRow = (stopRow === undefined) ? height - 1 : stopRow;
+        const {panelX, panelY, rect} = self._scrollTarget(dir, startRow, stopRow, options);
+
+        // Rows of the panel moved by vertical scrolling.
+        let areaTop = rect.y1, areaRows = rect.y2 - rect.y1 + 1;
+        if (options.hasOwnProperty("areaTop") || options.hasOwnProperty("areaRows")) {
+            if (rotation & 1) {
+                throw new Error("Scroll area options are not supported in rotation " + rotation + ", use startColumn/endColumn");
+            }
+            const top = extractOption(options, "areaTop", startRow),
+                  rows = extractOption(options, "areaRows", stopRow - top + 1);
+            if (!Number.isInteger(top) || !Number.isInteger(rows) ||
+                (top < 0) || (rows <= 0) || ((top + rows) > height)) {
+                throw new Error("Invalid scroll area specified");
+            }
+            areaTop = ((rotation === 2) !== self._flipY) ? (HEIGHT - (top + rows)) : top;
+            areaRows = rows;
+        }
+
+        // The datasheet requires both the vertical offset and the display
+        // start line to be less than the rows of the scroll area.  Moving
+        // down is moving up by all but verticalOffset rows of the area.
+        let verticalIncrement = 0x00;
+        if (panelY) {
+            if (!verticalOffset || (verticalOffset >= areaRows)) {
+                throw new Error("Scroll vertical offset must be between 1 and the scroll area rows - 1");
+            }
+            if (self.start_line >= areaRows) {
+                throw new Error("Display start line must be less than the scroll area rows");
+            }
+            verticalIncrement = (panelY < 0) ? verticalOffset : (areaRows - verticalOffset);
+        }
 
         // Per the datasheet, if the vertical increment is set to 0,
         // VERTICAL_AND_LEFT_HORIZONTAL_SCROLL is same as LEFT_HORIZONTAL_SCROLL
         // VERTICAL_AND_RIGHT_HORIZONTAL_SCROLL is same as RIGHT_HORIZONTAL_SCROLL
         // Based on this, we can simplify the code to only send the VERTICAL_AND_LEFT_HORIZONTAL_SCROLL or VERTICAL_AND_RIGHT_HORIZONTAL_SCROLL commands along with a vertical offset of 0x00.
         // Note that SSD1315 expects a Horizontal Increment of 1.  Otherwise, it only scrolls up vertically.
-        switch (dir) {
-            case 'left':
-                verticalIncrement = 0x00;
-                scrollCommand = SSD1315_VERTICAL_AND_LEFT_HORIZONTAL_SCROLL;
-                break;
-            case 'right':
-                verticalIncrement = 0x00;
-                scrollCommand = SSD1315_VERTICAL_AND_RIGHT_HORIZONTAL_SCROLL;
-                break;
-            case 'left diagonal':
-                scrollCommand = SSD1315_VERTICAL_AND_LEFT_HORIZONTAL_SCROLL;
-                break;
-            case 'right diagonal':
-                scrollCommand = SSD1315_VERTICAL_AND_RIGHT_HORIZONTAL_SCROLL;
-                break;
-            case 'up':
-                horizontalIncrement = 0x00;
-                scrollCommand = SSD1315_VERTICAL_AND_LEFT_HORIZONTAL_SCROLL;
-                break;
-        }
+        const scrollCommand = (panelX > 0) ? SSD1315_VERTICAL_AND_RIGHT_HORIZONTAL_SCROLL : SSD1315_VERTICAL_AND_LEFT_HORIZONTAL_SCROLL;
+        const horizontalIncrement = panelX ? 0x01 : 0x00;
 
         const commandList = [
+            SSD1315_DEACTIVATE_SCROLL,
+            SSD1315_SET_VERTICAL_SCROLL_AREA,
+            areaTop & 0x3F,
+            areaRows & 0x7F,
             scrollCommand,
             horizontalIncrement,
-            startPage & 0x07, // starting page
+            ((rect.y1 >> 3) + self.page_offset) & 0x07, // starting page
             frames & 0x07,
-            stopPage & 0x07, // ending page
-            verticalIncrement & 0x7F,
-            0x00, // start column address
-            (WIDTH - 1) & 0xFF, // end column address
+            ((rect.y2 >> 3) + self.page_offset) & 0x07, // ending page
+            verticalIncrement & 0x3F,
+            (rect.x1 + self._ramColumnOffset()) & 0xFF, // start column address
+            (rect.x2 + self._ramColumnOffset()) & 0xFF, // end column address
             SSD1315_ACTIVATE_SCROLL
         ];
 
         self.oled_commandList(commandList);
+        self._scrollCommands = commandList;
         return self;
     }
 }
@@ -855,4 +3735,4 @@ const Adafruit_SSD1315_Colors = Object.freeze({
             BLACK,         WHITE,         INVERSE
 });
 
-module.exports = {Adafruit_SSD1315, Adafruit_SSD1315_Colors};
+module.exports = {Adafruit_SSD1315, Adafruit_SSD1315_Colors, SSD1315_Panels};
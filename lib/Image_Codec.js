@@ -0,0 +1,389 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Minimal PBM and PNG support used to save and load frames rendered from
+// the display.  A frame is an object {width, height, data} where data is a
+// row-major Uint8Array holding 1 for every lit pixel and 0 otherwise.
+//===============================================================
+const zlib = require("zlib");
+
+const toInt = Math.trunc;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const PNG_COLOR_GRAYSCALE = 0;
+const PNG_COLOR_RGB = 2;
+const PNG_COLOR_PALETTE = 3;
+const PNG_COLOR_GRAYSCALE_ALPHA = 4;
+const PNG_COLOR_RGBA = 6;
+
+const PNG_CHANNELS = Object.freeze({
+    [PNG_COLOR_GRAYSCALE]: 1,
+    [PNG_COLOR_RGB]: 3,
+    [PNG_COLOR_PALETTE]: 1,
+    [PNG_COLOR_GRAYSCALE_ALPHA]: 2,
+    [PNG_COLOR_RGBA]: 4
+});
+
+// Luminance at or above this value is considered a lit pixel.
+const LIT_THRESHOLD = 128;
+
+
+let crcTable = null;
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c;
+        }
+    }
+    let crc = -1;
+    const l = buffer.length;
+    for (let i = 0; i < l; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+
+function pngChunk(type, data) {
+    const header = Buffer.alloc(8), trailer = Buffer.alloc(4);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, "ascii");
+    trailer.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+    return Buffer.concat([header, data, trailer]);
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Encode a frame as a 1-bit grayscale PNG, lit pixels white.
+    @param  frame  {width, height, data}
+    @return Buffer
+*/
+/**************************************************************************/
+function encodePNG(frame) {
+    const width = frame.width, height = frame.height, data = frame.data;
+    const stride = toInt((width + 7) / 8);
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const rowIndex = y * (stride + 1);
+        raw[rowIndex] = 0; // filter type None
+        for (let x = 0; x < width; x++) {
+            if (data[y * width + x]) {
+                raw[rowIndex + 1 + (x >>> 3)] |= (0x80 >>> (x & 7));
+            }
+        }
+    }
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 1;                   // bit depth
+    ihdr[9] = PNG_COLOR_GRAYSCALE; // color type
+    ihdr[10] = 0;                  // compression
+    ihdr[11] = 0;                  // filter
+    ihdr[12] = 0;                  // interlace
+    return Buffer.concat([PNG_SIGNATURE,
+                          pngChunk("IHDR", ihdr),
+                          pngChunk("IDAT", zlib.deflateSync(raw)),
+                          pngChunk("IEND", Buffer.alloc(0))]);
+}
+
+
+function paethPredictor(a, b, c) {
+    const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if ((pa <= pb) && (pa <= pc)) return a;
+    return (pb <= pc) ? b : c;
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Decode a non-interlaced PNG of any color type and bit depth.
+    @param  buffer  PNG file content
+    @return Object {width, height, data} where data is an RGBA Uint8Array
+            with 8 bits per channel.
+    @throws Error if the data is not a supported PNG.
+*/
+/**************************************************************************/
+function decodePNG(buffer) {
+    buffer = Buffer.from(buffer);
+    if ((buffer.length < 8) || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error("Not a PNG file");
+    }
+    let offset = 8, header = null, palette = null, transparency = null;
+    const idat = [];
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString("ascii", offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12;
+        if (type === "IHDR") {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === "PLTE") {
+            palette = chunk;
+        } else if (type === "tRNS") {
+            transparency = chunk;
+        } else if (type === "IDAT") {
+            idat.push(chunk);
+        } else if (type === "IEND") {
+            break;
+        }
+    }
+    if (!header) throw new Error("PNG is missing IHDR chunk");
+    const {width, height, bitDepth, colorType} = header;
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels) throw new Error("Unsupported PNG color type " + colorType);
+    if (header.interlace) throw new Error("Interlaced PNG files are not supported");
+    if ((colorType === PNG_COLOR_PALETTE) && !palette) throw new Error("PNG is missing PLTE chunk");
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >>> 3);
+    const stride = toInt((width * bitsPerPixel + 7) / 8);
+    let previous = Buffer.alloc(stride), line = Buffer.alloc(stride);
+
+    const data = new Uint8Array(width * height * 4);
+    const maxSample = (1 << bitDepth) - 1;
+    const samples = new Array(channels);
+
+    for (let y = 0; y < height; y++) {
+        const rowIndex = y * (stride + 1), filter = raw[rowIndex];
+        for (let i = 0; i < stride; i++) {
+            const x = raw[rowIndex + 1 + i];
+            const a = (i >= bytesPerPixel) ? line[i - bytesPerPixel] : 0;
+            const b = previous[i];
+            const c = (i >= bytesPerPixel) ? previous[i - bytesPerPixel] : 0;
+            switch (filter) {
+                case 0: line[i] = x; break;
+                case 1: line[i] = (x + a) & 0xFF; break;
+                case 2: line[i] = (x + b) & 0xFF; break;
+                case 3: line[i] = (x + ((a + b) >>> 1)) & 0xFF; break;
+                case 4: line[i] = (x + paethPredictor(a, b, c)) & 0xFF; break;
+                default: throw new Error("Invalid PNG filter type " + filter);
+            }
+        }
+        for (let x = 0; x < width; x++) {
+            for (let s = 0; s < channels; s++) {
+                const bit = (x * channels + s) * bitDepth;
+                if (bitDepth === 16) {
+                    samples[s] = line[bit >>> 3]; // keep the high byte
+                } else if (bitDepth === 8) {
+                    samples[s] = line[bit >>> 3];
+                } else {
+                    const shift = 8 - bitDepth - (bit & 7);
+                    samples[s] = (line[bit >>> 3] >>> shift) & maxSample;
+                }
+            }
+            const out = (y * width + x) * 4;
+            let r, g, b, alpha = 255;
+            if (colorType === PNG_COLOR_PALETTE) {
+                const index = samples[0];
+                r = palette[index * 3];
+                g = palette[index * 3 + 1];
+                b = palette[index * 3 + 2];
+                if (transparency && (index < transparency.length)) alpha = transparency[index];
+            } else {
+                const scale = (bitDepth < 8) ? (255 / maxSample) : 1;
+                r = Math.round(samples[0] * scale);
+                if (channels >= 3) {
+                    g = Math.round(samples[1] * scale);
+                    b = Math.round(samples[2] * scale);
+                } else {
+                    g = b = r;
+                }
+                if (colorType === PNG_COLOR_GRAYSCALE_ALPHA) alpha = samples[1];
+                if (colorType === PNG_COLOR_RGBA) alpha = samples[3];
+            }
+            data[out] = r;
+            data[out + 1] = g;
+            data[out + 2] = b;
+            data[out + 3] = alpha;
+        }
+        const swap = previous;
+        previous = line;
+        line = swap;
+    }
+    return {width, height, data};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Encode a frame as PBM.  Lit pixels are written white (bit 0) so
+            the image looks like the panel.
+    @param  frame  {width, height, data}
+    @param  plain  true for the ASCII 'P1' variant (one text line per row),
+                   false for the binary 'P4' variant (default).
+    @return Buffer
+*/
+/**************************************************************************/
+function encodePBM(frame, plain = false) {
+    const width = frame.width, height = frame.height, data = frame.data;
+    const header = "P" + (plain ? "1" : "4") + "\n" + width + " " + height + "\n";
+    if (plain) {
+        let body = "";
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                body += data[y * width + x] ? "0" : "1";
+            }
+            body += "\n";
+        }
+        return Buffer.from(header + body, "ascii");
+    }
+    const stride = toInt((width + 7) / 8);
+    const body = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!data[y * width + x]) {
+                body[y * stride + (x >>> 3)] |= (0x80 >>> (x & 7));
+            }
+        }
+    }
+    return Buffer.concat([Buffer.from(header, "ascii"), body]);
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Decode a PBM (P1 or P4), PGM (P2 or P5) or PPM (P3 or P6) file.
+    @param  buffer  file content
+    @return Object {width, height, data} where data is an RGBA Uint8Array
+            with 8 bits per channel.
+    @throws Error if the data is not a supported Netpbm file.
+*/
+/**************************************************************************/
+function decodePNM(buffer) {
+    buffer = Buffer.from(buffer);
+    let offset = 0;
+    const skipWhitespace = () => {
+        // Skip whitespace and comments.
+        while (offset < buffer.length) {
+            const c = buffer[offset];
+            if (c === 0x23) { // '#'
+                while ((offset < buffer.length) && (buffer[offset] !== 0x0A)) offset++;
+            } else if ((c === 0x20) || (c === 0x09) || (c === 0x0A) || (c === 0x0D)) {
+                offset++;
+            } else {
+                break;
+            }
+        }
+    };
+    const nextToken = () => {
+        skipWhitespace();
+        const start = offset;
+        while ((offset < buffer.length) && (buffer[offset] > 0x20)) offset++;
+        return buffer.toString("ascii", start, offset);
+    };
+    const magic = nextToken();
+    const kind = {"P1": 1, "P2": 2, "P3": 3, "P4": 4, "P5": 5, "P6": 6}[magic];
+    if (!kind) throw new Error("Not a PBM/PGM/PPM file");
+    const width = parseInt(nextToken(), 10), height = parseInt(nextToken(), 10);
+    if (!(width > 0) || !(height > 0)) throw new Error("Invalid PBM/PGM/PPM size");
+    const bitmap = (kind === 1) || (kind === 4);
+    const maxValue = bitmap ? 1 : parseInt(nextToken(), 10);
+    const channels = ((kind === 3) || (kind === 6)) ? 3 : 1;
+    const data = new Uint8Array(width * height * 4);
+    const put = (i, samples) => {
+        const out = i * 4;
+        if (bitmap) {
+            data[out] = data[out + 1] = data[out + 2] = samples[0] ? 0 : 255;
+        } else {
+            data[out] = Math.round(samples[0] * 255 / maxValue);
+            data[out + 1] = Math.round(samples[(channels === 3) ? 1 : 0] * 255 / maxValue);
+            data[out + 2] = Math.round(samples[channels - 1] * 255 / maxValue);
+        }
+        data[out + 3] = 255;
+    };
+    const count = width * height;
+    if (kind <= 3) {
+        for (let i = 0; i < count; i++) {
+            const samples = [];
+            for (let s = 0; s < channels; s++) {
+                if (kind === 1) {
+                    // P1 digits need not be separated by whitespace.
+                    skipWhitespace();
+                    samples.push((buffer[offset++] === 0x31) ? 1 : 0);
+                } else {
+                    samples.push(parseInt(nextToken(), 10));
+                }
+            }
+            put(i, samples);
+        }
+    } else {
+        offset++; // single whitespace after the header
+        if (kind === 4) {
+            const stride = toInt((width + 7) / 8);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    put(y * width + x, [(buffer[offset + y * stride + (x >>> 3)] >>> (7 - (x & 7))) & 1]);
+                }
+            }
+        } else {
+            const sampleBytes = (maxValue > 255) ? 2 : 1;
+            for (let i = 0; i < count; i++) {
+                const samples = [];
+                for (let s = 0; s < channels; s++) {
+                    samples.push((sampleBytes === 2) ? buffer.readUInt16BE(offset) : buffer[offset]);
+                    offset += sampleBytes;
+                }
+                put(i, samples);
+            }
+        }
+    }
+    return {width, height, data};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Decode a PNG or Netpbm file, detected from its content.
+    @param  buffer  file content
+    @return Object {width, height, data} with RGBA data.
+*/
+/**************************************************************************/
+function decodeImage(buffer) {
+    buffer = Buffer.from(buffer);
+    if ((buffer.length >= 8) && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return decodePNG(buffer);
+    }
+    return decodePNM(buffer);
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Convert a decoded RGBA image to a frame.  Pixels at or above the
+            luminance threshold (after alpha against black) are lit.
+    @param  image  {width, height, data} with RGBA data.
+    @return frame  {width, height, data}
+*/
+/**************************************************************************/
+function imageToFrame(image) {
+    const width = image.width, height = image.height, rgba = image.data;
+    const data = new Uint8Array(width * height);
+    for (let i = 0, l = width * height; i < l; i++) {
+        const o = i * 4;
+        const luminance = (rgba[o] * 299 + rgba[o + 1] * 587 + rgba[o + 2] * 114) / 1000 * rgba[o + 3] / 255;
+        data[i] = (luminance >= LIT_THRESHOLD) ? 1 : 0;
+    }
+    return {width, height, data};
+}
+
+
+const Image_Codec = Object.freeze({
+    encodePNG, decodePNG, encodePBM, decodePNM, decodeImage, imageToFrame
+});
+
+module.exports = {Image_Codec};
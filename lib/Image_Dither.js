@@ -0,0 +1,226 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Conversion of images to 1 bit per pixel for the panel.  Images are
+// reduced to 8-bit grayscale, scaled and then turned into a frame
+// {width, height, data} (see Image_Codec) by a threshold or by dithering.
+//===============================================================
+const {Image_Codec} = require("./Image_Codec.js");
+
+const toInt = Math.trunc,
+      fMin = Math.min,
+      fMax = Math.max;
+
+// Error diffusion kernels as [dx, dy, weight] with the divisor of the weights.
+const DIFFUSION_KERNELS = Object.freeze({
+    "floyd-steinberg": {divisor: 16, taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]},
+    "atkinson": {divisor: 8, taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]}
+});
+
+const DITHER_METHODS = Object.freeze(["threshold", "floyd-steinberg", "atkinson", "bayer"]);
+
+
+// Bayer index matrix of size n (a power of 2) as a flat row-major array.
+function bayerMatrix(n) {
+    let matrix = [0], size = 1;
+    while (size < n) {
+        const next = new Array(size * size * 4);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const v = matrix[y * size + x] * 4;
+                next[y * size * 2 + x] = v;
+                next[y * size * 2 + x + size] = v + 2;
+                next[(y + size) * size * 2 + x] = v + 3;
+                next[(y + size) * size * 2 + x + size] = v + 1;
+            }
+        }
+        matrix = next;
+        size *= 2;
+    }
+    return matrix;
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Reduce an image to 8-bit grayscale.  Transparent pixels are
+            blended against black, like the panel background.
+    @param  image  PNG or PBM/PGM/PPM file content (Buffer or Uint8Array),
+                   or raw pixels {width, height, data} with 1 (grayscale),
+                   2 (grayscale + alpha), 3 (RGB) or 4 (RGBA) bytes per
+                   pixel.  {channels} may be given, otherwise it follows
+                   from the data length.
+    @return Object {width, height, data} with one luminance byte per pixel.
+    @throws Error if the image cannot be decoded.
+*/
+/**************************************************************************/
+function toGrayscale(image) {
+    if ((image instanceof Uint8Array) || (image instanceof ArrayBuffer)) {
+        image = Image_Codec.decodeImage(image);
+    }
+    if (!image || !Number.isInteger(image.width) || !Number.isInteger(image.height) ||
+        (image.width <= 0) || (image.height <= 0) || !image.data) {
+        throw new Error("Invalid image specified");
+    }
+    const width = image.width, height = image.height, count = width * height, source = image.data;
+    const channels = image.channels || (source.length / count);
+    if (![1, 2, 3, 4].includes(channels) || (source.length < count * channels)) {
+        throw new Error("Invalid image data specified");
+    }
+    const data = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+        const o = i * channels;
+        const luminance = (channels >= 3) ? (source[o] * 299 + source[o + 1] * 587 + source[o + 2] * 114) / 1000 : source[o];
+        const alpha = (channels === 2) ? source[o + 1] : ((channels === 4) ? source[o + 3] : 255);
+        data[i] = Math.round(luminance * alpha / 255);
+    }
+    return {width, height, data};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Scale a grayscale image.  Each target pixel is the average of
+            the source pixels it covers, so shrinking keeps fine detail as
+            gray levels for dithering.
+    @param  gray    {width, height, data} from toGrayscale().
+    @param  width   Target width.
+    @param  height  Target height.
+    @return Object {width, height, data}
+    @throws Error if the size is invalid.
+*/
+/**************************************************************************/
+function scaleGrayscale(gray, width, height) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || (width <= 0) || (height <= 0)) {
+        throw new Error("Invalid image size specified");
+    }
+    if ((width === gray.width) && (height === gray.height)) {
+        return gray;
+    }
+    const sx = gray.width / width, sy = gray.height / height, source = gray.data;
+    const data = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const y0 = toInt(y * sy), y1 = fMax(y0 + 1, fMin(gray.height, Math.ceil((y + 1) * sy)));
+        for (let x = 0; x < width; x++) {
+            const x0 = toInt(x * sx), x1 = fMax(x0 + 1, fMin(gray.width, Math.ceil((x + 1) * sx)));
+            let sum = 0;
+            for (let v = y0; v < y1; v++) {
+                for (let u = x0; u < x1; u++) {
+                    sum += source[v * gray.width + u];
+                }
+            }
+            data[y * width + x] = Math.round(sum / ((y1 - y0) * (x1 - x0)));
+        }
+    }
+    return {width, height, data};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Convert a grayscale image to a 1-bit frame.
+    @param  gray     {width, height, data} from toGrayscale().
+    @param  options  (optional)
+                options.dither (default "threshold")
+                   "threshold", "floyd-steinberg", "atkinson" or "bayer"
+                   (ordered).
+                options.threshold (default 128)
+                   Luminance at or above which a pixel is lit, also the
+                   quantization level of the error diffusion methods.
+                options.bayerSize (default 4)
+                   Size of the Bayer matrix - 2, 4 or 8.
+                options.invert (default false)
+                   Light dark pixels instead.
+    @return frame  {width, height, data} with 1 for every lit pixel.
+    @throws Error if an option is invalid.
+*/
+/**************************************************************************/
+function ditherGrayscale(gray, options) {
+    options = Object.assign({}, options);
+    const method = options.hasOwnProperty("dither") ? options.dither : "threshold",
+          threshold = options.hasOwnProperty("threshold") ? options.threshold : 128,
+          bayerSize = options.hasOwnProperty("bayerSize") ? options.bayerSize : 4,
+          invert = !!options.invert;
+    if (!DITHER_METHODS.includes(method)) {
+        throw new Error("Unknown dither method " + method);
+    }
+    if ((typeof threshold !== "number") || !(threshold >= 0) || (threshold > 256)) {
+        throw new Error("Invalid threshold specified");
+    }
+    if (![2, 4, 8].includes(bayerSize)) {
+        throw new Error("Invalid Bayer matrix size specified");
+    }
+    const width = gray.width, height = gray.height, count = width * height;
+    const data = new Uint8Array(count);
+    const level = i => invert ? (255 - gray.data[i]) : gray.data[i];
+
+    if (method === "threshold") {
+        for (let i = 0; i < count; i++) {
+            data[i] = (level(i) >= threshold) ? 1 : 0;
+        }
+    } else if (method === "bayer") {
+        const matrix = bayerMatrix(bayerSize), cells = bayerSize * bayerSize;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const limit = (matrix[(y % bayerSize) * bayerSize + (x % bayerSize)] + 0.5) * 256 / cells;
+                data[y * width + x] = (level(y * width + x) >= limit) ? 1 : 0;
+            }
+        }
+    } else {
+        const {divisor, taps} = DIFFUSION_KERNELS[method];
+        const values = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            values[i] = level(i);
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x, lit = (values[i] >= threshold) ? 1 : 0;
+                const error = values[i] - (lit ? 255 : 0);
+                data[i] = lit;
+                for (const [dx, dy, weight] of taps) {
+                    const tx = x + dx, ty = y + dy;
+                    if ((tx >= 0) && (tx < width) && (ty < height)) {
+                        values[ty * width + tx] += error * weight / divisor;
+                    }
+                }
+            }
+        }
+    }
+    return {width, height, data};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Decode, scale and convert an image to a 1-bit frame in one go.
+    @param  image    See toGrayscale().
+    @param  options  (optional)
+                options.width / options.height (default the image size)
+                   Target size.  When only one is given the other keeps
+                   the aspect ratio.
+                Other options - see ditherGrayscale().
+    @return frame  {width, height, data}
+*/
+/**************************************************************************/
+function convertImage(image, options) {
+    options = Object.assign({}, options);
+    const gray = toGrayscale(image);
+    let width = options.width, height = options.height;
+    if ((width === undefined) && (height === undefined)) {
+        width = gray.width;
+        height = gray.height;
+    } else if (height === undefined) {
+        height = fMax(1, Math.round(gray.height * width / gray.width));
+    } else if (width === undefined) {
+        width = fMax(1, Math.round(gray.width * height / gray.height));
+    }
+    return ditherGrayscale(scaleGrayscale(gray, width, height), options);
+}
+
+
+const Image_Dither = Object.freeze({
+    DITHER_METHODS, toGrayscale, scaleGrayscale, ditherGrayscale, convertImage
+});
+
+module.exports = {Image_Dither};
@@ -0,0 +1,562 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// In-memory SSD1315 controller used as a third transport next to
+// Mixin_I2C_Display and Mixin_SPI_Display.  Instead of touching a bus,
+// every command and data byte is decoded the way the controller would
+// decode it and applied to an emulated 128x64 GDDRAM.  The panel image
+// can then be read back with render()/getPixel() to see what begin() and
+// display() actually produce without any hardware attached.
+//===============================================================
+const Adafruit_GFX_Library = require("@lynniemagoo/adafruit-gfx-library");
+const {extractOption} = Adafruit_GFX_Library.Utils;
+
+const toInt = Math.trunc;
+
+// GDDRAM geometry of the SSD1315 - 128 segments x 64 commons (8 pages).
+const GDDRAM_COLUMNS = 128;
+const GDDRAM_PAGES = 8;
+const GDDRAM_ROWS = GDDRAM_PAGES * 8;
+
+// Opcodes decoded by the emulator.  Kept private as in Adafruit_GrayOLED.
+const EMU_MEMORY_MODE                          = 0x20;
+const EMU_COLUMN_ADDR                          = 0x21;
+const EMU_PAGE_ADDR                            = 0x22;
+const EMU_FADE_BLINK                           = 0x23;
+const EMU_RIGHT_HORIZONTAL_SCROLL              = 0x26;
+const EMU_LEFT_HORIZONTAL_SCROLL               = 0x27;
+const EMU_VERTICAL_AND_RIGHT_HORIZONTAL_SCROLL = 0x29;
+const EMU_VERTICAL_AND_LEFT_HORIZONTAL_SCROLL  = 0x2A;
+const EMU_CONTENT_SCROLL_RIGHT                 = 0x2C;
+const EMU_CONTENT_SCROLL_LEFT                  = 0x2D;
+const EMU_DEACTIVATE_SCROLL                    = 0x2E;
+const EMU_ACTIVATE_SCROLL                      = 0x2F;
+const EMU_SET_CONTRAST                         = 0x81;
+const EMU_CHARGE_PUMP                          = 0x8D;
+const EMU_SEG_REMAP_NORMAL                     = 0xA0;
+const EMU_SEG_REMAP_FLIP                       = 0xA1;
+const EMU_SET_VERTICAL_SCROLL_AREA             = 0xA3;
+const EMU_DISPLAY_ALL_ON_RESUME                = 0xA4;
+const EMU_DISPLAY_ALL_ON_IGNORE                = 0xA5;
+const EMU_NORMAL_DISPLAY                       = 0xA6;
+const EMU_INVERT_DISPLAY                       = 0xA7;
+const EMU_SET_MULTIPLEX                        = 0xA8;
+const EMU_SET_IREF                             = 0xAD;
+const EMU_DISPLAY_OFF                          = 0xAE;
+const EMU_DISPLAY_ON                           = 0xAF;
+const EMU_COM_SCAN_INC                         = 0xC0;
+const EMU_COM_SCAN_DEC                         = 0xC8;
+const EMU_SET_DISPLAY_OFFSET                   = 0xD3;
+const EMU_SET_DISPLAY_CLOCK_DIV                = 0xD5;
+const EMU_SET_ZOOM                             = 0xD6;
+const EMU_SET_PRECHARGE                        = 0xD9;
+const EMU_SET_COM_PINS                         = 0xDA;
+const EMU_SET_VCOM_DETECT                      = 0xDB;
+const EMU_NOP                                  = 0xE3;
+
+// Number of parameter bytes that follow each multi-byte command.
+const EMU_PARAMETER_COUNTS = Object.freeze({
+    [EMU_MEMORY_MODE]: 1,
+    [EMU_COLUMN_ADDR]: 2,
+    [EMU_PAGE_ADDR]: 2,
+    [EMU_FADE_BLINK]: 1,
+    [EMU_RIGHT_HORIZONTAL_SCROLL]: 7,
+    [EMU_LEFT_HORIZONTAL_SCROLL]: 7,
+    [EMU_VERTICAL_AND_RIGHT_HORIZONTAL_SCROLL]: 7,
+    [EMU_VERTICAL_AND_LEFT_HORIZONTAL_SCROLL]: 7,
+    [EMU_CONTENT_SCROLL_RIGHT]: 7,
+    [EMU_CONTENT_SCROLL_LEFT]: 7,
+    [EMU_SET_CONTRAST]: 1,
+    [EMU_CHARGE_PUMP]: 1,
+    [EMU_SET_VERTICAL_SCROLL_AREA]: 2,
+    [EMU_SET_MULTIPLEX]: 1,
+    [EMU_SET_IREF]: 1,
+    [EMU_SET_DISPLAY_OFFSET]: 1,
+    [EMU_SET_DISPLAY_CLOCK_DIV]: 1,
+    [EMU_SET_ZOOM]: 1,
+    [EMU_SET_PRECHARGE]: 1,
+    [EMU_SET_COM_PINS]: 1,
+    [EMU_SET_VCOM_DETECT]: 1
+});
+
+
+class SSD1315_Emulator {
+    /**************************************************************************/
+    /*!
+        @brief  Constructor for the emulated SSD1315 controller.
+        @param  options  Object specifying options to use for the emulator
+
+                options.width / options.height
+                   Size of the glass attached to the controller.
+                options.columnOffset (default 0)
+                   First GDDRAM column wired to the glass for panels narrower
+                   than 128 pixels.
+                options.rowOffset (default 0)
+                   First GDDRAM row wired to the glass for panels whose
+                   visible area does not start at page 0.
+    */
+    /**************************************************************************/
+    constructor(options) {
+        const self = this;
+        options = Object.assign({}, options);
+        self.width = extractOption(options, "width", GDDRAM_COLUMNS);
+        self.height = extractOption(options, "height", GDDRAM_ROWS);
+        if ((self.width <= 0) || (self.width > GDDRAM_COLUMNS) || (self.height <= 0) || (self.height > GDDRAM_ROWS)) {
+            throw new Error("Invalid emulator width or height specified");
+        }
+        self.columnOffset = extractOption(options, "columnOffset", 0);
+        self.rowOffset = extractOption(options, "rowOffset", 0);
+        self.ram = new Uint8Array(GDDRAM_COLUMNS * GDDRAM_PAGES);
+        self.reset();
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Put the controller in its power-on-reset state.  GDDRAM content
+                is undefined after reset on real hardware; here it is cleared.
+        @return this
+    */
+    /**************************************************************************/
+    reset() {
+        const self = this;
+        self.ram.fill(0x00);
+
+        // Values below are the [reset] values from the datasheet.
+        self.memoryMode = 0x02;
+        self.columnStart = 0;
+        self.columnEnd = GDDRAM_COLUMNS - 1;
+        self.pageStart = 0;
+        self.pageEnd = GDDRAM_PAGES - 1;
+        self.column = 0;
+        self.page = 0;
+
+        self.segRemap = false;
+        self.comScanDec = false;
+        self.startLine = 0;
+        self.displayOffset = 0;
+        self.multiplex = GDDRAM_ROWS;
+        self.inverted = false;
+        self.displayOn = false;
+        self.entireDisplayOn = false;
+        self.contrast = 0x7F;
+        self.chargePump = 0x10;
+        self.clockDiv = 0x80;
+        self.precharge = 0x22;
+        self.comPins = 0x12;
+        self.vcomDetect = 0x20;
+        self.iref = 0x00;
+        self.fadeBlink = 0x00;
+        self.zoom = false;
+
+        self.scrollActive = false;
+        self.scrollSetup = null;
+        self.verticalScrollArea = {top: 0, rows: GDDRAM_ROWS};
+
+        // Partially received multi-byte command.
+        self._pending = null;
+
+        self.stats = {commands: 0, commandBytes: 0, dataTransfers: 0, dataBytes: 0, largestTransfer: 0};
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Feed command bytes to the controller (D/C# low).
+        @param  bytes  A single byte or an array-like of bytes.
+        @return this
+    */
+    /**************************************************************************/
+    command(bytes) {
+        const self = this;
+        if (typeof bytes === "number") {
+            bytes = [bytes];
+        }
+        const l = bytes ? bytes.length : 0;
+        for (let i = 0; i < l; i++) {
+            self._commandByte(bytes[i] & 0xFF);
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Feed one data transfer to the controller (D/C# high).  Bytes are
+                written to GDDRAM at the current address pointer which then
+                advances according to the memory addressing mode.
+        @param  bytes  array-like of bytes
+        @return this
+    */
+    /**************************************************************************/
+    data(bytes) {
+        const self = this, ram = self.ram, l = bytes ? bytes.length : 0;
+        self.stats.dataTransfers++;
+        self.stats.dataBytes += l;
+        self.stats.largestTransfer = Math.max(self.stats.largestTransfer, l);
+        for (let i = 0; i < l; i++) {
+            ram[self.page * GDDRAM_COLUMNS + self.column] = bytes[i] & 0xFF;
+            self._advancePointer();
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Read the raw GDDRAM byte at a column and page.
+        @return byte value
+    */
+    /**************************************************************************/
+    readRam(column, page) {
+        return this.ram[(page & 0x07) * GDDRAM_COLUMNS + (column & 0x7F)];
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Return the state of one pixel as seen on the glass.
+        @param  x  Column of the glass -- 0 at left.
+        @param  y  Row of the glass -- 0 at top.
+        @return 1 if lit, 0 if dark.
+        @note   The glass is oriented so that the driver's default
+                SEG_REMAP_FLIP/COM_SCAN_DEC setup shows GDDRAM column 0 and
+                row 0 at the top-left.
+    */
+    /**************************************************************************/
+    getPixel(x, y) {
+        const self = this;
+        if ((x < 0) || (x >= self.width) || (y < 0) || (y >= self.height)) return 0;
+        if (!self.displayOn) return 0;
+        if (self.entireDisplayOn) return 1;
+
+        const mux = self.multiplex;
+        if (y >= mux) return 0; // COM outputs beyond the multiplex ratio are not driven.
+
+        // Display row driven for this glass row.
+        let row = self.comScanDec ? y : (mux - 1 - y);
+        if (self.zoom) {
+            // Zoom-in doubles every row of the upper half of the display area.
+            row = toInt(row / 2);
+        }
+        const ramRow = (row + self.rowOffset + self.startLine + self.displayOffset) % GDDRAM_ROWS;
+        const segment = self.columnOffset + x;
+        const ramColumn = self.segRemap ? segment : (GDDRAM_COLUMNS - 1 - segment);
+        if ((ramColumn < 0) || (ramColumn >= GDDRAM_COLUMNS)) return 0;
+
+        const bit = (self.ram[(ramRow >>> 3) * GDDRAM_COLUMNS + ramColumn] >>> (ramRow & 7)) & 1;
+        return self.inverted ? (bit ^ 1) : bit;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Render the whole glass.
+        @return Object {width, height, data} where data is a row-major
+                Uint8Array holding 1 for every lit pixel and 0 otherwise.
+    */
+    /**************************************************************************/
+    render() {
+        const self = this, width = self.width, height = self.height;
+        const data = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                data[y * width + x] = self.getPixel(x, y);
+            }
+        }
+        return {width, height, data};
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Render the glass as text, one line per row.  Handy when
+                debugging from a terminal.
+        @param  on   Character used for lit pixels (default '#')
+        @param  off  Character used for dark pixels (default '.')
+        @return string
+    */
+    /**************************************************************************/
+    toString(on = "#", off = ".") {
+        const frame = this.render(), lines = [];
+        for (let y = 0; y < frame.height; y++) {
+            let line = "";
+            for (let x = 0; x < frame.width; x++) {
+                line += frame.data[y * frame.width + x] ? on : off;
+            }
+            lines.push(line);
+        }
+        return lines.join("\n");
+    }
+
+
+    _advancePointer() {
+        const self = this;
+        switch (self.memoryMode) {
+            case 0x00: // Horizontal addressing
+                if (++self.column > self.columnEnd) {
+                    self.column = self.columnStart;
+                    if (++self.page > self.pageEnd) {
+                        self.page = self.pageStart;
+                    }
+                }
+                break;
+            case 0x01: // Vertical addressing
+                if (++self.page > self.pageEnd) {
+                    self.page = self.pageStart;
+                    if (++self.column > self.columnEnd) {
+                        self.column = self.columnStart;
+                    }
+                }
+                break;
+            default:   // Page addressing - column wraps within the page.
+                if (++self.column >= GDDRAM_COLUMNS) {
+                    self.column = self.columnStart;
+                }
+                break;
+        }
+    }
+
+
+    _commandByte(value) {
+        const self = this;
+        self.stats.commandBytes++;
+        const pending = self._pending;
+        if (pending) {
+            pending.params.push(value);
+            if (pending.params.length === pending.count) {
+                self._pending = null;
+                self._execute(pending.opcode, pending.params);
+            }
+            return;
+        }
+        self.stats.commands++;
+        const count = EMU_PARAMETER_COUNTS[value];
+        if (count) {
+            self._pending = {opcode: value, count, params: []};
+        } else {
+            self._execute(value, []);
+        }
+    }
+
+
+    _execute(opcode, params) {
+        const self = this;
+
+        if (opcode <= 0x0F) {
+            // Lower column start nibble (page addressing mode).
+            self.columnStart = (self.columnStart & 0xF0) | opcode;
+            self.column = self.columnStart;
+            return;
+        }
+        if (opcode <= 0x1F) {
+            // Upper column start nibble (page addressing mode).
+            self.columnStart = ((opcode & 0x07) << 4) | (self.columnStart & 0x0F);
+            self.column = self.columnStart;
+            return;
+        }
+        if ((opcode >= 0x40) && (opcode <= 0x7F)) {
+            self.startLine = opcode & 0x3F;
+            return;
+        }
+        if ((opcode >= 0xB0) && (opcode <= 0xB7)) {
+            // Page start address (page addressing mode).
+            self.page = opcode & 0x07;
+            return;
+        }
+
+        switch (opcode) {
+            case EMU_MEMORY_MODE:
+                self.memoryMode = params[0] & 0x03;
+                break;
+            case EMU_COLUMN_ADDR:
+                self.columnStart = params[0] & 0x7F;
+                self.columnEnd = params[1] & 0x7F;
+                self.column = self.columnStart;
+                break;
+            case EMU_PAGE_ADDR:
+                self.pageStart = params[0] & 0x07;
+                self.pageEnd = params[1] & 0x07;
+                self.page = self.pageStart;
+                break;
+            case EMU_FADE_BLINK:
+                self.fadeBlink = params[0] & 0x3F;
+                break;
+            case EMU_RIGHT_HORIZONTAL_SCROLL:
+            case EMU_LEFT_HORIZONTAL_SCROLL:
+            case EMU_VERTICAL_AND_RIGHT_HORIZONTAL_SCROLL:
+            case EMU_VERTICAL_AND_LEFT_HORIZONTAL_SCROLL:
+                self.scrollSetup = {opcode, params: params.slice()};
+                break;
+            case EMU_CONTENT_SCROLL_RIGHT:
+            case EMU_CONTENT_SCROLL_LEFT:
+                self._contentScroll(opcode === EMU_CONTENT_SCROLL_RIGHT, params);
+                break;
+            case EMU_DEACTIVATE_SCROLL:
+                self.scrollActive = false;
+                break;
+            case EMU_ACTIVATE_SCROLL:
+                self.scrollActive = !!self.scrollSetup;
+                break;
+            case EMU_SET_CONTRAST:
+                self.contrast = params[0];
+                break;
+            case EMU_CHARGE_PUMP:
+                self.chargePump = params[0];
+                break;
+            case EMU_SEG_REMAP_NORMAL:
+            case EMU_SEG_REMAP_FLIP:
+                self.segRemap = (opcode === EMU_SEG_REMAP_FLIP);
+                break;
+            case EMU_SET_VERTICAL_SCROLL_AREA:
+                self.verticalScrollArea = {top: params[0] & 0x3F, rows: params[1] & 0x7F};
+                break;
+            case EMU_DISPLAY_ALL_ON_RESUME:
+            case EMU_DISPLAY_ALL_ON_IGNORE:
+                self.entireDisplayOn = (opcode === EMU_DISPLAY_ALL_ON_IGNORE);
+                break;
+            case EMU_NORMAL_DISPLAY:
+            case EMU_INVERT_DISPLAY:
+                self.inverted = (opcode === EMU_INVERT_DISPLAY);
+                break;
+            case EMU_SET_MULTIPLEX:
+                // Values 0 to 14 are invalid and leave the ratio unchanged.
+                if ((params[0] & 0x3F) >= 15) {
+                    self.multiplex = (params[0] & 0x3F) + 1;
+                }
+                break;
+            case EMU_SET_IREF:
+                self.iref = params[0];
+                break;
+            case EMU_DISPLAY_OFF:
+            case EMU_DISPLAY_ON:
+                self.displayOn = (opcode === EMU_DISPLAY_ON);
+                break;
+            case EMU_COM_SCAN_INC:
+            case EMU_COM_SCAN_DEC:
+                self.comScanDec = (opcode === EMU_COM_SCAN_DEC);
+                break;
+            case EMU_SET_DISPLAY_OFFSET:
+                self.displayOffset = params[0] & 0x3F;
+                break;
+            case EMU_SET_DISPLAY_CLOCK_DIV:
+                self.clockDiv = params[0];
+                break;
+            case EMU_SET_ZOOM:
+                self.zoom = !!(params[0] & 0x01);
+                break;
+            case EMU_SET_PRECHARGE:
+                self.precharge = params[0];
+                break;
+            case EMU_SET_COM_PINS:
+                self.comPins = params[0];
+                break;
+            case EMU_SET_VCOM_DETECT:
+                self.vcomDetect = params[0];
+                break;
+            case EMU_NOP:
+            default:
+                break;
+        }
+    }
+
+
+    // One column content scroll over a page range and column range.
+    // Parameters: dummy, start page, dummy, end page, dummy, start column, end column.
+    _contentScroll(right, params) {
+        const self = this, ram = self.ram;
+        const startPage = params[1] & 0x07, endPage = params[3] & 0x07,
+              startColumn = params[5] & 0x7F, endColumn = params[6] & 0x7F;
+        if ((endPage < startPage) || (endColumn <= startColumn)) return;
+        for (let page = startPage; page <= endPage; page++) {
+            const base = page * GDDRAM_COLUMNS;
+            const row = ram.slice(base + startColumn, base + endColumn + 1);
+            const l = row.length;
+            for (let i = 0; i < l; i++) {
+                // Columns shifted out of the range wrap around to the other side.
+                const from = right ? (i + l - 1) % l : (i + 1) % l;
+                ram[base + startColumn + i] = row[from];
+            }
+        }
+    }
+}
+
+
+const Mixin_SSD1315_Emulator = Base => class extends Base {
+
+    constructor(options) {
+        super(options);
+        const self = this;
+        self._emulator = new SSD1315_Emulator({
+            width: self.WIDTH,
+            height: self.HEIGHT,
+            // The glass sits where the driver's panel profile puts it unless
+            // a test wants to see a mismatch.
+            columnOffset: extractOption(self._options, "emulatorColumnOffset", self.column_offset),
+            rowOffset: extractOption(self._options, "emulatorRowOffset", self.page_offset * 8)
+        });
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get a reference to the emulated controller.
+        @return SSD1315_Emulator
+    */
+    /**************************************************************************/
+    getEmulator() {
+        return this._emulator;
+    }
+
+
+    _hardwareStartup() {
+        return this;
+    }
+
+
+    _hardwareReset() {
+        const self = this, emulator = self._emulator;
+        self._chain(async _ => {
+            emulator.reset();
+        });
+        return self;
+    }
+
+
+    _hardwareShutdown() {
+        return this;
+    }
+
+
+    _hardwareWriteCommand(command, data) {
+        const self = this, emulator = self._emulator;
+        const blockBytes = [];
+        if (null != command && undefined != command) {
+            blockBytes.push(command);
+        }
+        if (data && data.length) {
+            blockBytes.push.apply(blockBytes, data);
+        }
+        if (blockBytes.length) {
+            self._chain(async _ => {
+                emulator.command(blockBytes);
+            });
+        }
+        return self;
+    }
+
+
+    _hardwareWriteData(arrBytes) {
+        const self = this, emulator = self._emulator;
+        // Copy now as the caller typically passes a view onto the live buffer.
+        const bytes = Uint8Array.from(arrBytes);
+        self._chain(async _ => {
+            emulator.data(bytes);
+        });
+        return self;
+    }
+}
+
+module.exports = {Mixin_SSD1315_Emulator, SSD1315_Emulator};
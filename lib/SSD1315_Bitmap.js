@@ -0,0 +1,193 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Bitmap asset generation used by bin/ssd1315-bitmap.js (and the splash
+// screens in lib/).  An image is converted to 1 bit per pixel (see
+// Image_Dither), packed in one of two layouts and formatted as source code
+// or raw bytes:
+//   row  - rows of MSB-first bytes padded to 8 pixels, as expected by
+//          draw1BitBitmap().
+//   page - pages of 8 rows, one byte per column with the LSB on top, the
+//          layout of the display buffer and GDDRAM.
+//===============================================================
+const {Image_Dither} = require("./Image_Dither.js");
+
+const toInt = Math.trunc;
+
+const BITMAP_FORMATS = Object.freeze(["row", "page"]);
+const BITMAP_OUTPUTS = Object.freeze(["cjs", "esm", "c", "binary"]);
+
+// Bytes per line of hex formatted page data.
+const HEX_BYTES_PER_LINE = 16;
+
+
+/**************************************************************************/
+/*!
+    @brief  Pack a frame into rows of MSB-first bytes.
+    @param  frame  {width, height, data}
+    @return Uint8Array of ceil(width / 8) * height bytes.
+*/
+/**************************************************************************/
+function packRows(frame) {
+    const width = frame.width, height = frame.height, stride = toInt((width + 7) / 8);
+    const bytes = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (frame.data[y * width + x]) {
+                bytes[y * stride + (x >> 3)] |= (0x80 >> (x & 7));
+            }
+        }
+    }
+    return bytes;
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Pack a frame into pages of 8 rows, one byte per column with the
+            top row in the LSB.
+    @param  frame  {width, height, data}
+    @return Uint8Array of width * ceil(height / 8) bytes.
+*/
+/**************************************************************************/
+function packPages(frame) {
+    const width = frame.width, height = frame.height;
+    const bytes = new Uint8Array(width * toInt((height + 7) / 8));
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (frame.data[y * width + x]) {
+                bytes[(y >> 3) * width + x] |= (1 << (y & 7));
+            }
+        }
+    }
+    return bytes;
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Convert an image to a 1-bit frame, cropping it first.
+    @param  image    See Image_Dither.toGrayscale().
+    @param  options  (optional)
+                options.crop  {x, y, width, height} in image pixels.
+                Other options - see Image_Dither.convertImage().
+    @return frame  {width, height, data}
+    @throws Error if the crop rectangle is outside of the image.
+*/
+/**************************************************************************/
+function imageToBitmap(image, options) {
+    options = Object.assign({}, options);
+    let gray = Image_Dither.toGrayscale(image);
+    const crop = options.crop;
+    if (crop) {
+        const {x, y, width, height} = crop;
+        if (![x, y, width, height].every(Number.isInteger) || (x < 0) || (y < 0) || (width <= 0) || (height <= 0) ||
+            (x + width > gray.width) || (y + height > gray.height)) {
+            throw new Error("Invalid crop rectangle specified");
+        }
+        const data = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            data.set(gray.data.subarray((y + row) * gray.width + x, (y + row) * gray.width + x + width), row * width);
+        }
+        gray = {width, height, data};
+    }
+    return Image_Dither.convertImage(gray, options);
+}
+
+
+// Format packed bytes as lines of binary literals, one line per row of the
+// row layout, or as hex literals for the page layout.
+function formatBytes(bytes, frame, format) {
+    const lines = [];
+    if (format === "row") {
+        const stride = toInt((frame.width + 7) / 8);
+        for (let offset = 0; offset < bytes.length; offset += stride) {
+            let line = "  ";
+            bytes.subarray(offset, offset + stride).forEach(b => line += "0b" + b.toString(2).padStart(8, "0") + ",");
+            lines.push(line);
+        }
+    } else {
+        for (let offset = 0; offset < bytes.length; offset += HEX_BYTES_PER_LINE) {
+            let line = "  ";
+            bytes.subarray(offset, offset + HEX_BYTES_PER_LINE).forEach(b => line += "0x" + b.toString(16).toUpperCase().padStart(2, "0") + ",");
+            lines.push(line);
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Generate a bitmap asset from an image.
+    @param  image    See Image_Dither.toGrayscale().
+    @param  options  (optional)
+                options.name (default "bitmap")
+                   Identifier prefix of the generated {name}_width,
+                   {name}_height and {name}_data.
+                options.format (default "row")
+                   Layout of the data - "row" or "page".
+                options.output (default "cjs")
+                   "cjs" (CommonJS module), "esm" (ES module), "c" (C
+                   header snippet) or "binary" (the packed bytes only).
+                Other options - see imageToBitmap().
+    @return string source code, or a Buffer for "binary".
+    @throws Error if an option is invalid.
+*/
+/**************************************************************************/
+function generateBitmap(image, options) {
+    options = Object.assign({}, options);
+    const name = options.hasOwnProperty("name") ? options.name : "bitmap",
+          format = options.hasOwnProperty("format") ? options.format : "row",
+          output = options.hasOwnProperty("output") ? options.output : "cjs";
+    if ((typeof name !== "string") || !/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name)) {
+        throw new Error("Invalid bitmap name specified");
+    }
+    if (!BITMAP_FORMATS.includes(format)) {
+        throw new Error("Unknown bitmap format " + format);
+    }
+    if (!BITMAP_OUTPUTS.includes(output)) {
+        throw new Error("Unknown bitmap output " + output);
+    }
+    const frame = imageToBitmap(image, options);
+    const bytes = (format === "row") ? packRows(frame) : packPages(frame);
+    if (output === "binary") {
+        return Buffer.from(bytes);
+    }
+    const body = formatBytes(bytes, frame, format);
+    switch (output) {
+        case "c":
+            return "\n" +
+                   "#define " + name + "_width  " + frame.width + "\n" +
+                   "#define " + name + "_height " + frame.height + "\n" +
+                   "\n" +
+                   "const uint8_t PROGMEM " + name + "_data[] = {\n" +
+                   body +
+                   "};\n";
+        case "esm":
+            return "\n" +
+                   "export const " + name + "_width = " + frame.width + ";\n" +
+                   "export const " + name + "_height = " + frame.height + ";\n" +
+                   "\n" +
+                   "export const " + name + "_data = [\n" +
+                   body +
+                   "];\n";
+        default:
+            return "\n" +
+                   "const " + name + "_width = " + frame.width + ";\n" +
+                   "const " + name + "_height = " + frame.height + ";\n" +
+                   "\n" +
+                   "const " + name + "_data = [\n" +
+                   body +
+                   "];\n" +
+                   "module.exports={" + name + "_width, " + name + "_height, " + name + "_data};";
+    }
+}
+
+
+const SSD1315_Bitmap = Object.freeze({
+    BITMAP_FORMATS, BITMAP_OUTPUTS, packRows, packPages, imageToBitmap, generateBitmap
+});
+
+module.exports = {SSD1315_Bitmap};
@@ -0,0 +1,189 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Golden-image snapshot helpers.  A display bound to
+// Mixin_SSD1315_Emulator is rendered as the glass would show it (after
+// rotation, inversion and display on/off have been applied by the
+// emulated controller) and compared against a reference PBM or PNG file.
+//===============================================================
+const fs = require("fs");
+const path = require("path");
+const {Image_Codec} = require("./Image_Codec.js");
+
+const fMin = Math.min,
+      fMax = Math.max;
+
+// Set this environment variable to write/overwrite reference files.
+const UPDATE_ENV = "SSD1315_UPDATE_SNAPSHOTS";
+
+// Pixels shown around the differing area in the text diff.
+const DIFF_MARGIN = 2;
+
+
+/**************************************************************************/
+/*!
+    @brief  Render what the panel currently shows.  Pending work queued on
+            the display is awaited first.
+    @param  display  An Adafruit_SSD1315 bound to Mixin_SSD1315_Emulator.
+    @return Promise resolving to a frame {width, height, data}.
+    @throws Error if the display does not use the emulator.
+*/
+/**************************************************************************/
+async function renderPanel(display) {
+    if (!display || (typeof display.getEmulator !== "function")) {
+        throw new Error("Snapshots require a display bound to Mixin_SSD1315_Emulator");
+    }
+    await display;
+    return display.getEmulator().render();
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Compare two frames pixel by pixel.
+    @return Object {equal, count, x1, y1, x2, y2} where count is the number
+            of differing pixels and (x1,y1)-(x2,y2) bounds them.
+*/
+/**************************************************************************/
+function compareFrames(actual, expected) {
+    if ((actual.width !== expected.width) || (actual.height !== expected.height)) {
+        return {equal: false, sizeMismatch: true, count: -1, x1: 0, y1: 0,
+                x2: fMax(actual.width, expected.width) - 1, y2: fMax(actual.height, expected.height) - 1};
+    }
+    const width = actual.width, height = actual.height;
+    let count = 0, x1 = width, y1 = height, x2 = -1, y2 = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (!actual.data[i] !== !expected.data[i]) {
+                count++;
+                x1 = fMin(x1, x);
+                y1 = fMin(y1, y);
+                x2 = fMax(x2, x);
+                y2 = fMax(y2, y);
+            }
+        }
+    }
+    return {equal: (count === 0), sizeMismatch: false, count, x1, y1, x2, y2};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Produce a readable text diff of two frames of the same size,
+            limited to the area that differs.
+            '#' lit in both, '.' dark in both, '+' lit only in actual,
+            '-' lit only in expected.
+    @return string
+*/
+/**************************************************************************/
+function formatFrameDiff(actual, expected) {
+    const result = compareFrames(actual, expected);
+    if (result.sizeMismatch) {
+        return "Frame size differs: actual " + actual.width + "x" + actual.height +
+               ", expected " + expected.width + "x" + expected.height;
+    }
+    if (result.equal) {
+        return "Frames are identical";
+    }
+    const width = actual.width;
+    const x1 = fMax(0, result.x1 - DIFF_MARGIN), x2 = fMin(width - 1, result.x2 + DIFF_MARGIN),
+          y1 = fMax(0, result.y1 - DIFF_MARGIN), y2 = fMin(actual.height - 1, result.y2 + DIFF_MARGIN);
+    const lines = [
+        result.count + " pixel(s) differ within (" + result.x1 + "," + result.y1 + ")-(" + result.x2 + "," + result.y2 + ")",
+        "Legend: '+' lit only in actual, '-' lit only in expected, '#' lit in both, '.' dark in both",
+        "Showing (" + x1 + "," + y1 + ")-(" + x2 + "," + y2 + "):"
+    ];
+    for (let y = y1; y <= y2; y++) {
+        let line = "";
+        for (let x = x1; x <= x2; x++) {
+            const i = y * width + x, a = actual.data[i], e = expected.data[i];
+            line += a ? (e ? "#" : "+") : (e ? "-" : ".");
+        }
+        lines.push(line);
+    }
+    return lines.join("\n");
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Read a reference image (.pbm, .pgm, .ppm or .png) as a frame.
+*/
+/**************************************************************************/
+function readFrame(file) {
+    return Image_Codec.imageToFrame(Image_Codec.decodeImage(fs.readFileSync(file)));
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Write a frame as .png or (plain text) .pbm based on the
+            file extension.
+*/
+/**************************************************************************/
+function writeFrame(file, frame) {
+    const data = (path.extname(file).toLowerCase() === ".png") ? Image_Codec.encodePNG(frame)
+                                                               : Image_Codec.encodePBM(frame, true);
+    makeDirectory(path.dirname(file));
+    fs.writeFileSync(file, data);
+}
+
+
+// Create a directory and its missing parents (mkdirSync's recursive option
+// needs Node 10.12).
+function makeDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+        makeDirectory(path.dirname(dir));
+        fs.mkdirSync(dir);
+    }
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Compare what the panel shows against a stored reference image.
+    @param  displayOrFrame  An emulated display or an already rendered frame.
+    @param  file   Reference file, .pbm or .png.
+    @param  options
+                options.update (default from SSD1315_UPDATE_SNAPSHOTS env)
+                   Write the reference instead of comparing.
+    @return Promise resolving to the rendered frame.
+    @throws Error with a pixel diff when the frame does not match.  The
+            rendered frame is then saved next to the reference with an
+            '.actual' suffix for inspection.
+*/
+/**************************************************************************/
+async function matchSnapshot(displayOrFrame, file, options) {
+    options = Object.assign({}, options);
+    const update = options.hasOwnProperty("update") ? !!options.update : !!process.env[UPDATE_ENV];
+    const frame = (displayOrFrame && displayOrFrame.data && !displayOrFrame.getEmulator) ? displayOrFrame
+                                                                                        : await renderPanel(displayOrFrame);
+    const ext = path.extname(file);
+    const actualFile = file.slice(0, file.length - ext.length) + ".actual" + ext;
+
+    if (update) {
+        writeFrame(file, frame);
+        fs.existsSync(actualFile) && fs.unlinkSync(actualFile);
+        return frame;
+    }
+    if (!fs.existsSync(file)) {
+        throw new Error("Snapshot " + file + " does not exist. Run with " + UPDATE_ENV + "=1 to create it.");
+    }
+    const expected = readFrame(file);
+    if (!compareFrames(frame, expected).equal) {
+        writeFrame(actualFile, frame);
+        throw new Error("Snapshot " + file + " does not match (actual written to " + actualFile + ")\n" +
+                        formatFrameDiff(frame, expected));
+    }
+    fs.existsSync(actualFile) && fs.unlinkSync(actualFile);
+    return frame;
+}
+
+
+const SSD1315_Snapshot = Object.freeze({
+    renderPanel, compareFrames, formatFrameDiff, readFrame, writeFrame, matchSnapshot
+});
+
+module.exports = {SSD1315_Snapshot};
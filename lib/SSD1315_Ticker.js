@@ -0,0 +1,152 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Ticker/marquee helper built on the display start line.  New rows are
+// drawn into the part of GDDRAM below the visible window and then brought
+// into view by moving the start line, so a long list scrolls by without
+// redrawing or resending the rest of the screen.
+//===============================================================
+const Adafruit_GFX_Library = require("@lynniemagoo/adafruit-gfx-library");
+const {GFXcanvas1_PackedColumn} = Adafruit_GFX_Library.Canvas;
+
+const toInt = Math.trunc,
+      fMin = Math.min;
+
+// GDDRAM always holds 64 rows whatever the panel height.
+const GDDRAM_ROWS = 64;
+const GDDRAM_PAGES = GDDRAM_ROWS / 8;
+
+
+class SSD1315_Ticker {
+    /**************************************************************************/
+    /*!
+        @brief  Constructor - normally obtained from display.createTicker().
+                The ticker takes over the display start line and assumes the
+                panel shows the flushed buffer, so call display() first.
+        @param  display  Adafruit_SSD1315 in rotation 0.
+        @throws Error if the display is rotated.
+        @note   Panels using all 64 rows have no off-screen GDDRAM, so
+                incoming rows replace the rows about to leave at the top
+                until they are scrolled into view.
+    */
+    /**************************************************************************/
+    constructor(display) {
+        const self = this;
+        if (display.getRotation() !== 0) {
+            throw new Error("Ticker requires rotation 0");
+        }
+        const w = display.WIDTH, pages = toInt((display.HEIGHT + 7) / 8);
+        self._display = display;
+
+        // Copy of GDDRAM - visible pages as last flushed, the rest blank.
+        self._ram = new Uint8Array(w * GDDRAM_PAGES);
+        self._ram.set(display._displayBuffer().subarray(0, w * fMin(pages, GDDRAM_PAGES)));
+
+        // Rows written below the visible window but not yet scrolled in.
+        self._pending = 0;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the number of rows that can still be pushed before they
+                would overwrite visible rows.
+        @return Number of rows.
+    */
+    /**************************************************************************/
+    getCapacity() {
+        const height = this._display.HEIGHT;
+        return ((height < GDDRAM_ROWS) ? (GDDRAM_ROWS - height) : GDDRAM_ROWS) - this._pending;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the number of pushed rows not yet scrolled into view.
+        @return Number of rows.
+    */
+    /**************************************************************************/
+    getPending() {
+        return this._pending;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Draw new rows and write them to GDDRAM below the visible
+                window (and below rows already pending).
+        @param  rows  Height of the new content in pixels.
+        @param  draw  function(canvas) drawing into a GFX canvas of the
+                      display width and the given height.
+        @return this
+        @throws Error if rows exceeds getCapacity().
+    */
+    /**************************************************************************/
+    push(rows, draw) {
+        const self = this, display = self._display, w = display.WIDTH, ram = self._ram;
+        if (!Number.isInteger(rows) || (rows <= 0) || (rows > self.getCapacity())) {
+            throw new Error("Invalid ticker rows specified");
+        }
+        const canvas = new GFXcanvas1_PackedColumn({width: w, height: rows});
+        draw(canvas);
+        const source = canvas.getBuffer();
+
+        const first = display.getStartLine() + display.HEIGHT + self._pending, pages = new Set();
+        for (let row = 0; row < rows; row++) {
+            const ramRow = (first + row) % GDDRAM_ROWS,
+                  sourceIndex = (row >> 3) * w, sourceMask = 1 << (row & 7),
+                  ramIndex = (ramRow >> 3) * w, ramMask = 1 << (ramRow & 7);
+            for (let x = 0; x < w; x++) {
+                if (source[sourceIndex + x] & sourceMask) {
+                    ram[ramIndex + x] |= ramMask;
+                } else {
+                    ram[ramIndex + x] &= ~ramMask;
+                }
+            }
+            pages.add(ramRow >> 3);
+        }
+        // Sent from a copy as later rows may change the pages before the
+        // transport reads them.
+        const snapshot = ram.slice();
+        pages.forEach(page => display._writeWindow(snapshot, 0, w - 1, page, page));
+        // GDDRAM no longer matches what display() last sent.
+        display._invalidateShadow();
+        self._pending += rows;
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Scroll pending rows into view, e.g. one pixel per frame for a
+                smooth marquee.
+        @param  pixels (default 1)  Rows to scroll, limited to getPending().
+        @return this
+    */
+    /**************************************************************************/
+    step(pixels) {
+        const self = this;
+        const count = fMin((pixels === undefined) ? 1 : toInt(pixels), self._pending);
+        if (count > 0) {
+            self._display.scrollVertical(count);
+            self._pending -= count;
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Push new rows and scroll them into view at once.
+        @param  rows  Height of the new content in pixels.
+        @param  draw  function(canvas) drawing the new rows.
+        @return this
+    */
+    /**************************************************************************/
+    scroll(rows, draw) {
+        return this.push(rows, draw).step(rows);
+    }
+}
+
+module.exports = {SSD1315_Ticker};
@@ -0,0 +1,97 @@
+'use strict';
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {execFileSync} = require("child_process");
+const {test, createDisplay} = require("./harness");
+const {SSD1315_Bitmap, Image_Codec} = require("../index");
+
+const ROOT = path.join(__dirname, "..");
+const CLI = path.join(ROOT, "bin", "ssd1315-bitmap.js");
+
+// 10x9 image with the left column and the bottom row lit.
+const corner = () => {
+    const data = new Uint8Array(10 * 9);
+    for (let y = 0; y < 9; y++) {
+        data[y * 10] = 1;
+    }
+    data.fill(1, 8 * 10);
+    return {width:10, height:9, data};
+};
+
+
+test("packRows and packPages lay out bits like draw1BitBitmap and GDDRAM", () => {
+    const rows = SSD1315_Bitmap.packRows(corner());
+    assert.strictEqual(rows.length, 2 * 9);
+    assert.deepStrictEqual(Array.from(rows.subarray(0, 2)), [0x80, 0x00]);
+    assert.deepStrictEqual(Array.from(rows.subarray(16, 18)), [0xFF, 0xC0]);
+    const pages = SSD1315_Bitmap.packPages(corner());
+    assert.strictEqual(pages.length, 10 * 2);
+    assert.deepStrictEqual(Array.from(pages.subarray(0, 2)), [0xFF, 0x00]);
+    assert.deepStrictEqual(Array.from(pages.subarray(10, 12)), [0x01, 0x01]);
+});
+
+
+test("generated modules reproduce the bundled splash screens", () => {
+    for (const name of ["splash1", "splash2"]) {
+        const image = fs.readFileSync(path.join(ROOT, "scripts", name + ".png"));
+        assert.strictEqual(SSD1315_Bitmap.generateBitmap(image, {name}), fs.readFileSync(path.join(ROOT, "lib", name + ".js"), "utf8"));
+    }
+});
+
+
+test("generated row bitmaps draw with draw1BitBitmap", async () => {
+    const source = SSD1315_Bitmap.generateBitmap(Image_Codec.encodePNG(corner()), {name:"corner"});
+    const module = {exports:{}};
+    new Function("module", source)(module);
+    const {corner_width, corner_height, corner_data} = module.exports;
+    const display = createDisplay();
+    await display.startup();
+    display.draw1BitBitmap(0, 0, corner_data, corner_width, corner_height, 1);
+    assert.deepStrictEqual(Array.from(display.toFrame({invert:false}).data.filter((v, i) => (i % 128 < 10) && (i < 128 * 9))),
+                           Array.from(corner().data));
+});
+
+
+test("C header, ESM and binary output", () => {
+    const image = Image_Codec.encodePBM(corner());
+    const header = SSD1315_Bitmap.generateBitmap(image, {name:"logo", output:"c", format:"page"});
+    assert.ok(header.includes("#define logo_width  10\n#define logo_height 9\n"));
+    assert.ok(header.includes("const uint8_t PROGMEM logo_data[] = {\n  0xFF,0x00,"));
+    assert.ok(header.endsWith("};\n"));
+    const esm = SSD1315_Bitmap.generateBitmap(image, {name:"logo", output:"esm"});
+    assert.ok(esm.includes("export const logo_data = [\n  0b10000000,0b00000000,\n"));
+    const binary = SSD1315_Bitmap.generateBitmap(image, {output:"binary", format:"page"});
+    assert.deepStrictEqual(binary, Buffer.from(SSD1315_Bitmap.packPages(corner())));
+});
+
+
+test("crop, invert and threshold are applied before packing", () => {
+    const gray = {width:4, height:2, data:Uint8Array.from([0, 100, 200, 255, 0, 0, 0, 0])};
+    const frame = SSD1315_Bitmap.imageToBitmap(gray, {crop:{x:1, y:0, width:3, height:1}, threshold:100});
+    assert.deepStrictEqual(Array.from(frame.data), [1, 1, 1]);
+    const inverted = SSD1315_Bitmap.imageToBitmap(gray, {crop:{x:0, y:0, width:2, height:1}, invert:true});
+    assert.deepStrictEqual(Array.from(inverted.data), [1, 1]);
+    assert.throws(() => SSD1315_Bitmap.imageToBitmap(gray, {crop:{x:2, y:0, width:3, height:1}}), /Invalid crop rectangle specified/);
+    assert.throws(() => SSD1315_Bitmap.generateBitmap(gray, {format:"column"}), /Unknown bitmap format column/);
+    assert.throws(() => SSD1315_Bitmap.generateBitmap(gray, {output:"rust"}), /Unknown bitmap output rust/);
+    assert.throws(() => SSD1315_Bitmap.generateBitmap(gray, {name:"1logo"}), /Invalid bitmap name specified/);
+});
+
+
+test("ssd1315-bitmap CLI writes the output type of the file extension", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssd1315-bitmap-"));
+    try {
+        const input = path.join(dir, "corner.png"), output = path.join(dir, "corner.bin");
+        fs.writeFileSync(input, Image_Codec.encodePNG(corner()));
+        execFileSync(process.execPath, [CLI, input, "--format", "page", "--crop", "0,1,10,8", "--out", output]);
+        assert.deepStrictEqual(Array.from(fs.readFileSync(output)), [0xFF].concat(new Array(9).fill(0x80)));
+        const source = execFileSync(process.execPath, [CLI, input, "--type", "esm"], {encoding:"utf8"});
+        assert.ok(source.includes("export const corner_width = 10;"));
+        assert.throws(() => execFileSync(process.execPath, [CLI, input, "--crop", "1,2"], {stdio:"pipe"}), /Invalid --crop specified/);
+    } finally {
+        fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)));
+        fs.rmdirSync(dir);
+    }
+});
@@ -0,0 +1,103 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay} = require("./harness");
+const {SSD1315_Bitmap, Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+// Deterministic pseudo random frame so failures can be reproduced.
+const patternFrame = (width, height, seed) => {
+    const data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+        data[i] = (seed >> 16) & 1;
+    }
+    return {width, height, data};
+};
+
+const OPS = {
+    copy: (d, s) => s,
+    or: (d, s) => d | s,
+    and: (d, s) => d & s,
+    xor: (d, s) => d ^ s
+};
+
+
+test("drawPageBitmap matches per pixel drawing in every rotation and mode", async () => {
+    const display = createDisplay({width:128, height:32});
+    await display.startup();
+    const bitmap = patternFrame(13, 11, 7), data = SSD1315_Bitmap.packPages(bitmap);
+    const background = patternFrame(128, 128, 3);
+    for (let rotation = 0; rotation < 4; rotation++) {
+        display.setRotation(rotation);
+        const width = display.width(), height = display.height();
+        for (const [x, y] of [[0, 0], [5, 3], [-4, -6], [width - 7, height - 5]]) {
+            for (const mode of Object.keys(OPS)) {
+                display.clearDisplay();
+                for (let py = 0; py < height; py++) {
+                    for (let px = 0; px < width; px++) {
+                        background.data[py * 128 + px] && display.drawPixel(px, py, SSD1315_WHITE);
+                    }
+                }
+                const before = display.toFrame({invert:false});
+                display.drawPageBitmap(x, y, data, bitmap.width, bitmap.height, mode);
+                const after = display.toFrame({invert:false});
+                for (let py = 0; py < height; py++) {
+                    for (let px = 0; px < width; px++) {
+                        const i = py * width + px, c = px - x, r = py - y;
+                        const inside = (c >= 0) && (c < bitmap.width) && (r >= 0) && (r < bitmap.height);
+                        const expected = inside ? OPS[mode](before.data[i], bitmap.data[r * bitmap.width + c]) : before.data[i];
+                        assert.strictEqual(after.data[i], expected,
+                                           "rotation " + rotation + " at " + x + "," + y + " " + mode + " pixel " + px + "," + py);
+                    }
+                }
+            }
+        }
+    }
+});
+
+
+test("drawPageBitmap marks the bitmap dirty for display()", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.drawPageBitmap(10, 13, [0xFF, 0x81], 2, 8).display();
+    const emulator = display.getEmulator();
+    assert.deepStrictEqual([13, 14, 20].map(y => emulator.getPixel(10, y)), [1, 1, 1]);
+    assert.deepStrictEqual([13, 14, 20].map(y => emulator.getPixel(11, y)), [1, 0, 1]);
+    assert.strictEqual(emulator.getPixel(10, 21), 0);
+});
+
+
+test("drawPageBitmap copies full screen frames", async () => {
+    const display = createDisplay({width:128, height:32});
+    await display.startup();
+    const frame = patternFrame(128, 32, 11), data = SSD1315_Bitmap.packPages(frame);
+    await display.drawPageBitmap(0, 0, data, 128, 32).display();
+    assert.deepStrictEqual(Array.from(display.getBuffer()), Array.from(data));
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.getPixel(127, 31), frame.data[31 * 128 + 127]);
+    assert.strictEqual(emulator.getPixel(40, 17), frame.data[17 * 128 + 40]);
+});
+
+
+test("drawPageBitmap fills the partial last page like fillRect", async () => {
+    for (let rotation = 0; rotation < 4; rotation++) {
+        const blitted = createDisplay({width:128, height:36, rotation}), filled = createDisplay({width:128, height:36, rotation});
+        await blitted.startup();
+        await filled.startup();
+        const [x, y] = (rotation & 1) ? [28, 5] : [5, 28];
+        blitted.drawPageBitmap(x, y, new Array(6 * 2).fill(0xFF), 6, 16);
+        filled.fillRect(x, y, 6, 16, SSD1315_WHITE);
+        assert.deepStrictEqual(Array.from(blitted.getBuffer()), Array.from(filled.getBuffer()), "rotation " + rotation);
+        await blitted.display();
+        const emulator = blitted.getEmulator(), corner = blitted._logicalToBufferPoint(x, y + 7);
+        assert.strictEqual(emulator.getPixel(corner.x, corner.y), 1, "rotation " + rotation);
+    }
+});
+
+
+test("drawPageBitmap arguments are validated", () => {
+    const display = createDisplay();
+    assert.throws(() => display.drawPageBitmap(0, 0, [0xFF], 1, 8, "nand"), /Unknown blit mode nand/);
+    assert.throws(() => display.drawPageBitmap(0, 0, [0xFF], 1, 9), /Invalid page bitmap specified/);
+    assert.throws(() => display.drawPageBitmap(0, 0, [0xFF], 0, 8), /Invalid page bitmap specified/);
+});
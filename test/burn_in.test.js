@@ -0,0 +1,161 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay, createLazyDisplay} = require("./harness");
+const {Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+
+test("burn-in guard shifts columns on the panel only", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.drawPixel(0, 0, SSD1315_WHITE).drawPixel(127, 10, SSD1315_WHITE).display();
+    display.startBurnInGuard({intervalMs:40, maxShiftY:0});
+    await wait(60);
+    await display;
+    const emulator = display.getEmulator();
+    assert.deepStrictEqual(display.getBurnInShift(), {x:1, y:0});
+    assert.strictEqual(emulator.getPixel(1, 0), 1);
+    assert.strictEqual(emulator.getPixel(0, 0), 0);
+    assert.strictEqual(emulator.getPixel(127, 10), 0);
+    assert.strictEqual(display.getBuffer()[0], 0x01);
+
+    // Partial flushes land at the shifted columns too.
+    await display.drawPixel(5, 20, SSD1315_WHITE).display();
+    assert.strictEqual(emulator.getPixel(6, 20), 1);
+
+    await display.stopBurnInGuard();
+    assert.deepStrictEqual(display.getBurnInShift(), {x:0, y:0});
+    assert.strictEqual(emulator.getPixel(0, 0), 1);
+    assert.strictEqual(emulator.getPixel(127, 10), 1);
+    assert.strictEqual(emulator.getPixel(6, 20), 0);
+});
+
+
+test("burn-in guard shifts rows with the display offset", async () => {
+    const display = createDisplay({width:128, height:32});
+    await display.startup();
+    await display.drawPixel(3, 0, SSD1315_WHITE).display();
+    const emulator = display.getEmulator(), bytes = emulator.stats.dataBytes;
+    display.startBurnInGuard({intervalMs:40, maxShiftX:0});
+    await wait(60);
+    await display;
+    assert.deepStrictEqual(display.getBurnInShift(), {x:0, y:1});
+    assert.strictEqual(emulator.getPixel(3, 1), 1);
+    assert.strictEqual(emulator.getPixel(3, 0), 0);
+    assert.strictEqual(emulator.stats.dataBytes, bytes);
+    await display.shutdown();
+    assert.strictEqual(display.getBurnInShift().y, 0);
+});
+
+
+test("burn-in guard inverts on a schedule on top of invertDisplay", async () => {
+    const display = createDisplay();
+    await display.startup();
+    display.startBurnInGuard({intervalMs:100000, invertIntervalMs:40});
+    await wait(60);
+    await display;
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.inverted, true);
+    assert.strictEqual(display.isInverted(), false);
+    await display.invertDisplay(true);
+    assert.strictEqual(emulator.inverted, false);
+    await display.stopBurnInGuard();
+    assert.strictEqual(emulator.inverted, true);
+});
+
+
+test("burn-in guard does not count as activity for idle sleep", async () => {
+    const display = createDisplay({idleSleepMs:100});
+    await display.startup();
+    await display.drawPixel(0, 0, SSD1315_WHITE).display();
+    display.startBurnInGuard({intervalMs:40, maxShiftY:0});
+    await wait(300);
+    await display;
+    assert.strictEqual(display.isSleeping(), true);
+    const shift = display.getBurnInShift();
+    await wait(100);
+    await display;
+    assert.strictEqual(display.isSleeping(), true);
+    assert.deepStrictEqual(display.getBurnInShift(), shift);
+    await display.stopBurnInGuard();
+});
+
+
+test("burn-in guard re-sends what was shown, not pending drawing", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.drawPixel(0, 0, SSD1315_WHITE).display();
+    display.drawPixel(10, 10, SSD1315_WHITE);
+    display.startBurnInGuard({intervalMs:40, maxShiftY:0});
+    await wait(60);
+    await display;
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.getPixel(1, 0), 1);
+    assert.strictEqual(emulator.getPixel(11, 10), 0);
+    await display.display();
+    assert.strictEqual(emulator.getPixel(11, 10), 1);
+    await display.stopBurnInGuard();
+});
+
+
+test("burn-in shift re-sends the data shown when it was queued", async () => {
+    const display = createLazyDisplay();
+    await display.startup();
+    await display.drawPixel(0, 0, SSD1315_WHITE).display();
+    const emulator = display.getEmulator();
+    await display._setBurnInShift({x:1, y:0});
+    // Shifting back writes full pages.
+    display._setBurnInShift({x:0, y:0});
+    let shown = null;
+    display._chain(async _ => {
+        shown = [emulator.getPixel(0, 0), emulator.getPixel(10, 10)];
+    });
+    await display.drawPixel(10, 10, SSD1315_WHITE).display();
+    assert.deepStrictEqual(shown, [1, 0]);
+    assert.strictEqual(emulator.getPixel(10, 10), 1);
+});
+
+
+test("burn-in shift moves right/down on mirrored panels too", async () => {
+    const display = createDisplay({width:128, height:32, flipX:true, flipY:true});
+    await display.startup();
+    await display.drawPixel(5, 5, SSD1315_WHITE).display();
+    const emulator = display.getEmulator();
+    const lit = () => {
+        for (let y = 0; y < 32; y++) {
+            for (let x = 0; x < 128; x++) {
+                if (emulator.getPixel(x, y)) return [x, y];
+            }
+        }
+        return null;
+    };
+    const [x0, y0] = lit();
+    display.startBurnInGuard({intervalMs:40, maxShiftY:0});
+    await wait(60);
+    await display;
+    assert.deepStrictEqual(display.getBurnInShift(), {x:1, y:0});
+    assert.deepStrictEqual(lit(), [x0 + 1, y0]);
+    display.startBurnInGuard({intervalMs:40, maxShiftX:0});
+    await wait(60);
+    await display;
+    assert.deepStrictEqual(display.getBurnInShift(), {x:0, y:1});
+    assert.deepStrictEqual(lit(), [x0, y0 + 1]);
+    // Changing the mirroring keeps the shift on the glass.
+    display.startBurnInGuard({intervalMs:40, maxShiftY:0});
+    await wait(60);
+    await display.setFlipX(false).setFlipY(false);
+    assert.deepStrictEqual(display.getBurnInShift(), {x:1, y:0});
+    assert.deepStrictEqual(lit(), [6, 5]);
+    await display.stopBurnInGuard();
+    assert.deepStrictEqual(lit(), [5, 5]);
+});
+
+
+test("burn-in guard options are validated", () => {
+    const display = createDisplay();
+    assert.throws(() => display.startBurnInGuard({intervalMs:0}), /Invalid burn-in guard interval specified/);
+    assert.throws(() => display.startBurnInGuard({maxShiftX:9}), /Invalid burn-in guard shift specified/);
+    assert.throws(() => display.startBurnInGuard({invertIntervalMs:-1}), /Invalid burn-in guard invert interval specified/);
+});
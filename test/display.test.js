@@ -0,0 +1,265 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay, createLazyDisplay} = require("./harness");
+const {SSD1315_Snapshot, Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+
+test("display() flushes the dirty window in one data transfer", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const stats = display.getEmulator().stats;
+    const transfers = stats.dataTransfers, bytes = stats.dataBytes;
+    await display.fillRect(20, 6, 30, 14, SSD1315_WHITE).display();
+    assert.strictEqual(stats.dataTransfers - transfers, 1);
+    // Columns 20..49 over pages 0..2.
+    assert.strictEqual(stats.dataBytes - bytes, 30 * 3);
+});
+
+
+test("display() with nothing dirty sends no data", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const stats = display.getEmulator().stats;
+    const transfers = stats.dataTransfers;
+    await display.display();
+    assert.strictEqual(stats.dataTransfers, transfers);
+});
+
+
+test("partial flush leaves the rest of the panel untouched", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.fillRect(0, 0, 128, 64, SSD1315_WHITE).display();
+    await display.fillRect(30, 10, 20, 20, 0).display();
+    const frame = await SSD1315_Snapshot.renderPanel(display);
+    let lit = 0;
+    frame.data.forEach(v => lit += v);
+    assert.strictEqual(lit, 128 * 64 - 20 * 20);
+});
+
+
+for (const maxTransferBytes of [16, 32, 255]) {
+    test("maxTransferBytes " + maxTransferBytes + " chunks data without changing the image", async () => {
+        const reference = createDisplay();
+        const display = createDisplay({maxTransferBytes});
+        for (const target of [reference, display]) {
+            await target.startup();
+            await target.fillRect(0, 0, 128, 64, SSD1315_WHITE).display();
+            await target.fillCircle(40, 30, 17, 0)
+                        .fillRect(70, 5, 30, 45, 0)
+                        .display();
+        }
+        const stats = display.getEmulator().stats;
+        assert.ok(stats.largestTransfer <= maxTransferBytes, "largest transfer " + stats.largestTransfer);
+        const expected = await SSD1315_Snapshot.renderPanel(reference);
+        const actual = await SSD1315_Snapshot.renderPanel(display);
+        assert.ok(SSD1315_Snapshot.compareFrames(actual, expected).equal, SSD1315_Snapshot.formatFrameDiff(actual, expected));
+    });
+}
+
+
+test("maxTransferBytes rejects invalid values", () => {
+    assert.throws(() => createDisplay({maxTransferBytes: -1}), /maxTransferBytes/);
+    assert.throws(() => createDisplay({maxTransferBytes: 1.5}), /maxTransferBytes/);
+});
+
+
+test("shadowDiff skips bytes that did not change", async () => {
+    const display = createDisplay({shadowDiff: true});
+    await display.startup();
+    const stats = display.getEmulator().stats;
+    await display.setTextSize(2).setTextColor(SSD1315_WHITE, 0).setCursor(10, 20).print("12:34").display();
+
+    let transfers = stats.dataTransfers;
+    // Redrawing the same value marks a dirty window but changes nothing.
+    await display.setCursor(10, 20).print("12:34").display();
+    assert.strictEqual(stats.dataTransfers, transfers);
+
+    // Flipping a single pixel inside a large dirty window sends one byte.
+    transfers = stats.dataTransfers;
+    const bytes = stats.dataBytes;
+    await display.setCursor(10, 20).print("12:34").drawPixel(60, 30, SSD1315_WHITE).display();
+    assert.strictEqual(stats.dataTransfers - transfers, 1);
+    assert.strictEqual(stats.dataBytes - bytes, 1);
+});
+
+
+test("shadowDiff falls back to a block write when runs are fragmented", async () => {
+    const display = createDisplay({shadowDiff: true, diffMaxRuns: 4, diffMergeGap: 0, maxDirtyRegions: 1});
+    await display.startup();
+    const stats = display.getEmulator().stats;
+    const transfers = stats.dataTransfers;
+    for (let x = 0; x < 120; x += 10) {
+        display.drawPixel(x, 3, SSD1315_WHITE);
+    }
+    await display.display();
+    assert.strictEqual(stats.dataTransfers - transfers, 1);
+    const frame = await SSD1315_Snapshot.renderPanel(display);
+    assert.strictEqual(frame.data[3 * 128 + 110], 1);
+});
+
+
+test("shadowDiff renders the same image as a plain flush", async () => {
+    const reference = createDisplay();
+    const display = createDisplay({shadowDiff: true});
+    for (const target of [reference, display]) {
+        await target.startup();
+        await target.fillRect(10, 10, 50, 30, SSD1315_WHITE).display();
+        await target.fillCircle(35, 25, 10, 0).drawLine(0, 63, 127, 0, SSD1315_WHITE).display();
+        await target.stopscroll();
+        await target.drawFastHLine(0, 50, 128, SSD1315_WHITE).display();
+    }
+    const expected = await SSD1315_Snapshot.renderPanel(reference);
+    const actual = await SSD1315_Snapshot.renderPanel(display);
+    assert.ok(SSD1315_Snapshot.compareFrames(actual, expected).equal, SSD1315_Snapshot.formatFrameDiff(actual, expected));
+});
+
+
+test("diff and dirty region limits reject invalid values", () => {
+    assert.throws(() => createDisplay({diffMergeGap: -1}), /Invalid diffMergeGap specified/);
+    assert.throws(() => createDisplay({diffMergeGap: 0.5}), /Invalid diffMergeGap specified/);
+    assert.throws(() => createDisplay({diffMaxRuns: NaN}), /Invalid diffMaxRuns specified/);
+    assert.throws(() => createDisplay({maxDirtyRegions: 0}), /Invalid maxDirtyRegions specified/);
+    assert.throws(() => createDisplay({maxDirtyRegions: "4"}), /Invalid maxDirtyRegions specified/);
+});
+
+
+test("sparse updates in opposite corners are flushed as separate regions", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const stats = display.getEmulator().stats;
+    const transfers = stats.dataTransfers, bytes = stats.dataBytes;
+    await display.fillRect(2, 2, 8, 8, SSD1315_WHITE)
+                 .fillRect(110, 54, 16, 8, SSD1315_WHITE)
+                 .display();
+    assert.strictEqual(stats.dataTransfers - transfers, 2);
+    // 8 columns over pages 0..1 and 16 columns over pages 6..7.
+    assert.strictEqual(stats.dataBytes - bytes, 8 * 2 + 16 * 2);
+});
+
+
+test("distant text on one page is flushed as separate regions", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const stats = display.getEmulator().stats;
+    const transfers = stats.dataTransfers, bytes = stats.dataBytes;
+    await display.setCursor(0, 0).print("A").setCursor(122, 0).print("A").display();
+    assert.strictEqual(stats.dataTransfers - transfers, 2);
+    // The 5 columns of each glyph on page 0 only.
+    assert.strictEqual(stats.dataBytes - bytes, 5 * 2);
+});
+
+
+test("dirty regions are merged down to maxDirtyRegions", async () => {
+    const display = createDisplay({maxDirtyRegions: 2});
+    await display.startup();
+    display.drawPixel(0, 0, SSD1315_WHITE)
+           .drawPixel(4, 0, SSD1315_WHITE)
+           .drawPixel(120, 60, SSD1315_WHITE);
+    assert.deepStrictEqual(display._getDirtyRegions(), [{x1: 0, y1: 0, x2: 4, y2: 0}, {x1: 120, y1: 60, x2: 120, y2: 60}]);
+    // The dirty window is still the bounding box of all regions.
+    assert.deepStrictEqual([display.window_x1, display.window_y1, display.window_x2, display.window_y2], [0, 0, 120, 60]);
+    await display.display();
+    const frame = await SSD1315_Snapshot.renderPanel(display);
+    assert.strictEqual(frame.data[4] + frame.data[60 * 128 + 120], 2);
+});
+
+
+for (const rotation of [0, 1, 2, 3]) {
+    test("display(x, y, w, h) pushes a logical rectangle in rotation " + rotation, async () => {
+        const display = createDisplay({rotation});
+        await display.startup();
+        display.fillRect(0, 0, display.width(), display.height(), SSD1315_WHITE);
+        await display.display(5, 9, 20, 11);
+        const frame = await SSD1315_Snapshot.renderPanel(display);
+        // Only the requested rectangle (rounded out to whole pages) was sent.
+        let lit = 0;
+        frame.data.forEach(v => lit += v);
+        assert.ok(lit >= 20 * 11, "lit " + lit);
+        assert.ok(lit < 128 * 64 / 2, "lit " + lit);
+        // Logical (5,9) maps to a lit pixel on the glass; logical (0,0) is still dark.
+        const rect = display._logicalToBufferRect(5, 9, 1, 1), origin = display._logicalToBufferRect(0, 0, 1, 1);
+        assert.strictEqual(frame.data[rect.y1 * 128 + rect.x1], 1);
+        assert.strictEqual(frame.data[origin.y1 * 128 + origin.x1], 0);
+        // The rest of the buffer is still dirty.
+        assert.ok(display._getDirtyRegions().length > 0);
+    });
+}
+
+
+test("markDirty and clearDirty control what display() sends", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const stats = display.getEmulator().stats;
+    let bytes = stats.dataBytes;
+    await display.markDirty(0, 8, 10, 8).display();
+    assert.strictEqual(stats.dataBytes - bytes, 10);
+
+    bytes = stats.dataBytes;
+    await display.fillRect(0, 0, 30, 30, SSD1315_WHITE).clearDirty(0, 0, 30, 16).display();
+    // Pages 2..3 remain (rows 16..29).
+    assert.strictEqual(stats.dataBytes - bytes, 30 * 2);
+
+    bytes = stats.dataBytes;
+    await display.fillRect(0, 0, 30, 30, 0).clearDirty().display();
+    assert.strictEqual(stats.dataBytes, bytes);
+});
+
+
+test("doubleBuffer shows nothing drawn until swapBuffers()", async () => {
+    const display = createDisplay({doubleBuffer: true});
+    await display.startup();
+    const emulator = display.getEmulator(), stats = emulator.stats;
+    const transfers = stats.dataTransfers, bytes = stats.dataBytes;
+    await display.fillRect(10, 10, 20, 20, SSD1315_WHITE).display();
+    assert.strictEqual(stats.dataTransfers, transfers);
+    assert.strictEqual(emulator.getPixel(15, 15), 0);
+
+    await display.swapBuffers();
+    assert.strictEqual(emulator.getPixel(15, 15), 1);
+    // Only the drawn rectangle (pages 1..3) was sent.
+    assert.strictEqual(stats.dataTransfers - transfers, 1);
+    assert.strictEqual(stats.dataBytes - bytes, 20 * 3);
+});
+
+
+test("doubleBuffer carries the frame into the new back buffer", async () => {
+    const display = createDisplay({doubleBuffer: true, shadowDiff: true});
+    await display.startup();
+    const emulator = display.getEmulator(), stats = emulator.stats;
+    await display.fillRect(0, 0, 40, 16, SSD1315_WHITE).swapBuffers();
+
+    // Draw incrementally on top of the previous frame.
+    const bytes = stats.dataBytes;
+    await display.fillRect(100, 40, 8, 8, SSD1315_WHITE).swapBuffers();
+    assert.strictEqual(stats.dataBytes - bytes, 8);
+    assert.strictEqual(emulator.getPixel(5, 5), 1);
+    assert.strictEqual(emulator.getPixel(104, 44), 1);
+
+    // Nothing drawn since the last swap - nothing to send.
+    const transfers = stats.dataTransfers;
+    await display.swapBuffers();
+    assert.strictEqual(stats.dataTransfers, transfers);
+    assert.deepStrictEqual(Array.from(display.getBuffer()), Array.from(display._displayBuffer()));
+});
+
+
+test("doubleBuffer sends the front buffer as it was when swapped", async () => {
+    const display = createLazyDisplay({doubleBuffer: true});
+    await display.startup();
+    const emulator = display.getEmulator();
+    // Draw into the old front buffer while its transfer is still queued.
+    display.fillRect(0, 0, 128, 64, SSD1315_WHITE).swapBuffers().swapBuffers();
+    display.fillRect(0, 0, 128, 64, 0);
+    await display;
+    assert.strictEqual(emulator.getPixel(5, 5), 1);
+    assert.strictEqual(emulator.getPixel(127, 63), 1);
+});
+
+
+test("swapBuffers() requires the doubleBuffer option", async () => {
+    const display = createDisplay();
+    await display.startup();
+    assert.throws(() => display.swapBuffers(), /doubleBuffer/);
+});
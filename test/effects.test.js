@@ -0,0 +1,125 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay} = require("./harness");
+const {Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+
+test("fadeOut and blink program the fade/blink mode and interval", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+
+    await display.fadeOut();
+    assert.strictEqual(emulator.fadeBlink, 0x20);
+    assert.deepStrictEqual(display.getFadeEffect(), {mode: "fade", interval: 8});
+
+    await display.blink({interval: 128});
+    assert.strictEqual(emulator.fadeBlink, 0x3F);
+    assert.deepStrictEqual(display.getFadeEffect(), {mode: "blink", interval: 128});
+
+    await display.stopFade();
+    assert.strictEqual(emulator.fadeBlink, 0x00);
+    assert.strictEqual(display.getFadeEffect(), null);
+});
+
+
+test("fade interval is validated", async () => {
+    const display = createDisplay();
+    assert.throws(() => display.fadeOut({interval: 12}), /fade interval/);
+    assert.throws(() => display.blink({interval: 136}), /fade interval/);
+    assert.throws(() => display.blink({interval: 0}), /fade interval/);
+});
+
+
+test("setZoom doubles the upper half of the rows", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    await display.drawPixel(10, 5, SSD1315_WHITE).display();
+
+    await display.setZoom(true);
+    assert.strictEqual(display.getZoom(), true);
+    assert.strictEqual(emulator.getPixel(10, 10), 1);
+    assert.strictEqual(emulator.getPixel(10, 11), 1);
+    assert.strictEqual(emulator.getPixel(10, 5), 0);
+
+    await display.setZoom(false);
+    assert.strictEqual(emulator.getPixel(10, 5), 1);
+});
+
+
+test("stopscroll and shutdown end fade, blink and zoom", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    await display.blink().setZoom(true).startscrollleft();
+    await display.stopscroll();
+    assert.strictEqual(emulator.scrollActive, false);
+    assert.strictEqual(emulator.fadeBlink, 0x00);
+    assert.strictEqual(emulator.zoom, false);
+
+    await display.fadeOut().setZoom(true);
+    await display.shutdown();
+    assert.strictEqual(emulator.fadeBlink, 0x00);
+    assert.strictEqual(emulator.zoom, false);
+    assert.strictEqual(display.getFadeEffect(), null);
+});
+
+
+test("setBrightness maps levels to contrast, precharge and VCOMH", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    // Level matching the default 128x64 contrast (0xCF).
+    assert.ok(Math.abs(display.getBrightness() - 91) < 1, "brightness " + display.getBrightness());
+
+    await display.setBrightness(100);
+    assert.deepStrictEqual([emulator.contrast, emulator.precharge, emulator.vcomDetect], [0xFF, 0xF1, 0x20]);
+    await display.setBrightness(50);
+    assert.deepStrictEqual([emulator.contrast, emulator.precharge, emulator.vcomDetect], [55, 0xF1, 0x20]);
+    await display.setBrightness(10);
+    assert.deepStrictEqual([emulator.contrast, emulator.precharge, emulator.vcomDetect], [2, 0x11, 0x00]);
+
+    // Unchanged values are not resent.
+    const commands = emulator.stats.commands;
+    await display.setBrightness(10);
+    assert.strictEqual(emulator.stats.commands, commands);
+
+    assert.throws(() => display.setBrightness(101), /brightness/);
+    assert.throws(() => display.setBrightness(NaN), /brightness/);
+});
+
+
+test("dim darkens the panel and restores the brightness", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    await display.setBrightness(80).dim(true);
+    assert.strictEqual(emulator.contrast, 0);
+    assert.strictEqual(display.getBrightness(), 80);
+    await display.dim(false);
+    assert.strictEqual(emulator.contrast, Math.round(255 * Math.pow(0.8, 2.2)));
+});
+
+
+test("fadeTo ramps the contrast over time", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator(), seen = new Set();
+    await display.setBrightness(100);
+    const timer = setInterval(() => seen.add(emulator.contrast), 5);
+    await display.fadeTo(0, 120);
+    clearInterval(timer);
+    assert.strictEqual(emulator.contrast, 0);
+    assert.strictEqual(display.getBrightness(), 0);
+    assert.ok(seen.size >= 3, "contrast values seen " + Array.from(seen));
+
+    // A new level ends a fade in progress.
+    const fade = display.fadeTo(100, 200);
+    display.setBrightness(30);
+    await fade;
+    await display;
+    assert.strictEqual(display.getBrightness(), 30);
+    assert.strictEqual(emulator.contrast, Math.round(255 * Math.pow(0.3, 2.2)));
+});
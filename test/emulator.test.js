@@ -0,0 +1,64 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay} = require("./harness");
+const {SSD1315_Emulator} = require("../index");
+
+
+test("horizontal addressing wraps inside the column/page window", () => {
+    const emulator = new SSD1315_Emulator({width:128, height:64});
+    emulator.command([0x20, 0x00, 0x21, 10, 11, 0x22, 2, 3]);
+    emulator.data([1, 2, 3, 4]);
+    assert.strictEqual(emulator.readRam(10, 2), 1);
+    assert.strictEqual(emulator.readRam(11, 2), 2);
+    assert.strictEqual(emulator.readRam(10, 3), 3);
+    assert.strictEqual(emulator.readRam(11, 3), 4);
+    // Wrapped back to the start of the window.
+    emulator.data([5]);
+    assert.strictEqual(emulator.readRam(10, 2), 5);
+});
+
+
+test("page addressing uses the nibble and page start commands", () => {
+    const emulator = new SSD1315_Emulator({width:128, height:64});
+    emulator.command([0xB5, 0x04, 0x12]);
+    emulator.data([0xAA]);
+    assert.strictEqual(emulator.readRam(0x24, 5), 0xAA);
+});
+
+
+test("glass mapping honors segment remap, COM scan and start line", () => {
+    const emulator = new SSD1315_Emulator({width:128, height:64});
+    emulator.command([0xAF, 0xA1, 0xC8, 0x20, 0x00]);
+    emulator.data([0x01]);
+    assert.strictEqual(emulator.getPixel(0, 0), 1);
+    emulator.command(0xA0);
+    assert.strictEqual(emulator.getPixel(127, 0), 1);
+    emulator.command(0xC0);
+    assert.strictEqual(emulator.getPixel(127, 63), 1);
+    emulator.command([0xA1, 0xC8, 0x40 | 1]);
+    assert.strictEqual(emulator.getPixel(0, 63), 1);
+    assert.strictEqual(emulator.getPixel(0, 0), 0);
+});
+
+
+test("invert and display off are applied to the glass", () => {
+    const emulator = new SSD1315_Emulator({width:128, height:64});
+    emulator.command([0xA1, 0xC8]);
+    assert.strictEqual(emulator.getPixel(5, 5), 0);
+    emulator.command([0xAF, 0xA7]);
+    assert.strictEqual(emulator.getPixel(5, 5), 1);
+    emulator.command(0xAE);
+    assert.strictEqual(emulator.getPixel(5, 5), 0);
+});
+
+
+test("begin() leaves the controller on in horizontal addressing mode", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.displayOn, true);
+    assert.strictEqual(emulator.memoryMode, 0x00);
+    assert.strictEqual(emulator.multiplex, 64);
+    assert.strictEqual(emulator.contrast, 0xCF);
+    assert.strictEqual(emulator.chargePump, 0x14);
+});
@@ -0,0 +1,60 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay} = require("./harness");
+const {Image_Codec, SSD1315_Snapshot, Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+
+test("toFrame matches what the panel shows", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.fillRect(3, 5, 20, 9, SSD1315_WHITE).drawLine(0, 63, 127, 0, SSD1315_WHITE).invertDisplay(true).display();
+    const frame = await SSD1315_Snapshot.renderPanel(display);
+    assert.ok(SSD1315_Snapshot.compareFrames(display.toFrame(), frame).equal);
+    assert.strictEqual(display.toFrame({invert:false}).data[5 * 128 + 3], 1);
+});
+
+
+test("toFrame honors rotation", async () => {
+    const display = createDisplay();
+    await display.startup();
+    for (let rotation = 0; rotation < 4; rotation++) {
+        display.setRotation(rotation);
+        display.clearDisplay().drawPixel(2, 1, SSD1315_WHITE);
+        const frame = display.toFrame();
+        assert.strictEqual(frame.width, display.width());
+        assert.strictEqual(frame.height, display.height());
+        assert.deepStrictEqual(Array.from(frame.data).reduce((lit, v, i) => v ? lit.concat(i) : lit, []),
+                               [1 * frame.width + 2], "rotation " + rotation);
+    }
+});
+
+
+test("toPBM and toPNG round trip through the image codec", async () => {
+    const display = createDisplay({width:128, height:32});
+    await display.startup();
+    display.setRotation(1);
+    display.fillRect(4, 10, 8, 30, SSD1315_WHITE);
+    const frame = display.toFrame();
+    for (const image of [display.toPBM(), display.toPBM({plain:true}), display.toPNG()]) {
+        const decoded = Image_Codec.imageToFrame(Image_Codec.decodeImage(image));
+        assert.ok(SSD1315_Snapshot.compareFrames(decoded, frame).equal);
+    }
+    assert.ok(display.toPBM({plain:true}).toString("ascii").startsWith("P1\n32 128\n"));
+});
+
+
+test("toAscii and toBraille render text art", async () => {
+    const display = createDisplay({width:128, height:32});
+    await display.startup();
+    display.drawPixel(0, 0, SSD1315_WHITE).drawPixel(1, 3, SSD1315_WHITE);
+    const ascii = display.toAscii({on:"X", off:" "}).split("\n");
+    assert.strictEqual(ascii.length, 32);
+    assert.strictEqual(ascii[0], "X" + " ".repeat(127));
+    assert.strictEqual(ascii[3], " X" + " ".repeat(126));
+    const braille = display.toBraille().split("\n");
+    assert.strictEqual(braille.length, 8);
+    assert.strictEqual(braille[0].length, 64);
+    assert.strictEqual(braille[0][0], "⢁");
+    assert.strictEqual(braille[1][0], "⠀");
+});
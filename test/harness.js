@@ -0,0 +1,69 @@
+'use strict';
+//===============================================================
+// Tiny dependency-free test harness.  Test files register cases with
+// test(name, fn) and run.js executes them in order.
+//===============================================================
+const BASE_PATH = "../";
+const {Adafruit_SSD1315, Mixin_SSD1315_Emulator} = require(BASE_PATH + "index");
+
+const tests = [];
+
+
+function test(name, fn) {
+    tests.push({name, fn});
+}
+
+
+// Emulated SSD1315 used by the tests.
+class Adafruit_SSD1315_Emulated extends Mixin_SSD1315_Emulator(Adafruit_SSD1315) {}
+
+
+// Emulated SSD1315 whose transport only reads written data when the queue
+// gets to it, like Mixin_I2C_Display.
+class Adafruit_SSD1315_LazyEmulated extends Adafruit_SSD1315_Emulated {
+    _hardwareWriteData(arrBytes) {
+        const self = this, emulator = self.getEmulator();
+        self._chain(async _ => {
+            emulator.data(arrBytes);
+        });
+        return self;
+    }
+}
+
+
+// Create an emulated display.  Splash is off unless requested.
+// Note: the display is thenable so it cannot be returned from an async function.
+function createDisplay(options) {
+    return new Adafruit_SSD1315_Emulated(Object.assign({width:128, height:64, noSplash:true}, options));
+}
+
+
+// Create an emulated display with a lazily reading transport.
+function createLazyDisplay(options) {
+    return new Adafruit_SSD1315_LazyEmulated(Object.assign({width:128, height:64, noSplash:true}, options));
+}
+
+
+async function run(files) {
+    let passed = 0, failed = 0;
+    for (const file of files) {
+        tests.length = 0;
+        require(file);
+        console.log(file.replace(/^.*[\\/]/, ""));
+        for (const {name, fn} of tests.slice()) {
+            try {
+                await fn();
+                passed++;
+                console.log("  ok - " + name);
+            } catch (err) {
+                failed++;
+                console.log("  not ok - " + name);
+                console.log(String(err && err.stack || err).replace(/^/gm, "    "));
+            }
+        }
+    }
+    console.log("\n" + passed + " passed, " + failed + " failed");
+    return failed === 0;
+}
+
+module.exports = {test, run, createDisplay, createLazyDisplay, Adafruit_SSD1315_Emulated};
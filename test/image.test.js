@@ -0,0 +1,87 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay} = require("./harness");
+const {Image_Codec, Image_Dither, Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+const litCount = frame => frame.data.reduce((sum, v) => sum + v, 0);
+const grayImage = (width, height, value) => ({width, height, data: new Uint8Array(width * height).fill(value)});
+
+
+test("drawImage draws PBM and PNG data in every rotation", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const logo = {width:3, height:2, data:Uint8Array.from([1, 0, 1, 0, 1, 0])};
+    for (const file of [Image_Codec.encodePBM(logo), Image_Codec.encodePNG(logo)]) {
+        for (let rotation = 0; rotation < 4; rotation++) {
+            display.setRotation(rotation);
+            display.clearDisplay().drawImage(10, 5, file);
+            const frame = display.toFrame(), at = (x, y) => frame.data[y * frame.width + x];
+            assert.deepStrictEqual([at(10, 5), at(11, 5), at(12, 5), at(10, 6), at(11, 6), at(12, 6)], [1, 0, 1, 0, 1, 0]);
+            assert.strictEqual(litCount(frame), 3, "rotation " + rotation);
+        }
+    }
+});
+
+
+test("drawImage marks the image dirty for display()", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.drawImage(0, 0, grayImage(16, 16, 255)).display();
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.getPixel(15, 15), 1);
+    assert.strictEqual(emulator.getPixel(16, 15), 0);
+});
+
+
+test("drawImage scales and keeps the aspect ratio", async () => {
+    const display = createDisplay();
+    await display.startup();
+    display.drawImage(0, 0, grayImage(4, 2, 255), {width:16});
+    assert.strictEqual(litCount(display.toFrame()), 16 * 8);
+    display.clearDisplay().drawImage(0, 0, grayImage(4, 2, 255), {width:10, height:3});
+    assert.strictEqual(litCount(display.toFrame()), 30);
+    // Shrinking averages the pixels - a 2x1 checker becomes mid gray.
+    const scaled = Image_Dither.scaleGrayscale({width:2, height:1, data:Uint8Array.from([0, 255])}, 1, 1);
+    assert.strictEqual(scaled.data[0], 128);
+});
+
+
+test("dither methods spread mid gray over half of the pixels", () => {
+    const gray = Image_Dither.toGrayscale(grayImage(16, 16, 128));
+    assert.strictEqual(litCount(Image_Dither.ditherGrayscale(gray)), 256);
+    assert.strictEqual(litCount(Image_Dither.ditherGrayscale(gray, {dither:"bayer"})), 128);
+    assert.strictEqual(litCount(Image_Dither.ditherGrayscale(gray, {dither:"bayer", bayerSize:8})), 128);
+    const fs = litCount(Image_Dither.ditherGrayscale(gray, {dither:"floyd-steinberg"}));
+    assert.ok(Math.abs(fs - 128) <= 4, "floyd-steinberg lit " + fs);
+    const atkinson = litCount(Image_Dither.ditherGrayscale(gray, {dither:"atkinson"}));
+    assert.ok((atkinson > 64) && (atkinson < 192), "atkinson lit " + atkinson);
+    assert.strictEqual(litCount(Image_Dither.ditherGrayscale(gray, {invert:true})), 0);
+});
+
+
+test("raw RGBA with alpha is blended against black", () => {
+    const rgba = {width:2, height:1, data:Uint8Array.from([255, 255, 255, 255, 255, 255, 255, 0])};
+    assert.deepStrictEqual(Array.from(Image_Dither.convertImage(rgba).data), [1, 0]);
+});
+
+
+test("drawImage background null leaves the buffer unchanged", async () => {
+    const display = createDisplay();
+    await display.startup();
+    display.fillRect(0, 0, 4, 4, SSD1315_WHITE);
+    display.drawImage(0, 0, {width:2, height:1, data:Uint8Array.from([0, 0])}, {background:null});
+    assert.strictEqual(litCount(display.toFrame()), 16);
+    display.drawImage(0, 0, {width:2, height:1, data:Uint8Array.from([0, 0])});
+    assert.strictEqual(litCount(display.toFrame()), 14);
+});
+
+
+test("image options are validated", () => {
+    const gray = grayImage(2, 2, 0);
+    assert.throws(() => Image_Dither.convertImage(gray, {dither:"sierra"}), /Unknown dither method sierra/);
+    assert.throws(() => Image_Dither.convertImage(gray, {bayerSize:3}), /Invalid Bayer matrix size specified/);
+    assert.throws(() => Image_Dither.convertImage(gray, {width:0}), /Invalid image size specified/);
+    assert.throws(() => Image_Dither.convertImage({width:2, height:2, data:new Uint8Array(5)}), /Invalid image data specified/);
+    assert.throws(() => Image_Dither.convertImage(Buffer.from("nope")), /Not a PBM\/PGM\/PPM file/);
+});
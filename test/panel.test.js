@@ -0,0 +1,152 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay} = require("./harness");
+const {SSD1315_Panels, Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+
+test("begin() programs the panel profile", async () => {
+    const display = createDisplay({width:128, height:32});
+    await display.startup();
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.multiplex, 32);
+    assert.strictEqual(emulator.comPins, 0x02);
+    assert.strictEqual(emulator.contrast, 0x8F);
+    assert.strictEqual(emulator.precharge, 0xF1);
+    assert.strictEqual(emulator.vcomDetect, 0x20);
+    assert.strictEqual(emulator.clockDiv, 0x80);
+});
+
+
+test("panel option selects a profile and its size", async () => {
+    const display = createDisplay({panel:"72x40", width:undefined, height:undefined});
+    assert.strictEqual(display.WIDTH, 72);
+    assert.strictEqual(display.HEIGHT, 40);
+    await display.startup();
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.multiplex, 40);
+    assert.strictEqual(emulator.comPins, 0x12);
+    assert.strictEqual(emulator.columnOffset, SSD1315_Panels["72x40"].colOffset);
+});
+
+
+test("display() writes at the profile column offset", async () => {
+    const display = createDisplay({panel:"64x48", width:64, height:48});
+    await display.startup();
+    await display.fillRect(0, 0, 2, 8, SSD1315_WHITE).display();
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.readRam(32, 0), 0xFF);
+    assert.strictEqual(emulator.readRam(33, 0), 0xFF);
+    assert.strictEqual(emulator.readRam(0, 0), 0x00);
+    assert.strictEqual(emulator.getPixel(0, 0), 1);
+    assert.strictEqual(emulator.getPixel(2, 0), 0);
+});
+
+
+test("profile fields can be overridden one by one", async () => {
+    const display = createDisplay({panel:{profile:"128x64", contrast:0x40, pageOffset:1}, height:56});
+    await display.startup();
+    await display.fillRect(0, 0, 1, 8, SSD1315_WHITE).display();
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.contrast, 0x40);
+    assert.strictEqual(emulator.comPins, 0x12);
+    assert.strictEqual(emulator.multiplex, 56);
+    assert.strictEqual(emulator.readRam(0, 1), 0xFF);
+    assert.strictEqual(emulator.readRam(0, 0), 0x00);
+    assert.strictEqual(emulator.getPixel(0, 7), 1);
+});
+
+
+test("invalid panel profiles are rejected", () => {
+    assert.throws(() => createDisplay({panel:"99x99"}), /Unknown panel profile 99x99/);
+    assert.throws(() => createDisplay({panel:{multiplex:70}}), /Invalid panel multiplex specified/);
+    assert.throws(() => createDisplay({panel:"64x48", width:64, height:48, colOffset:70}), /Invalid panel colOffset specified/);
+    assert.throws(() => createDisplay({panel:{comPins:0x04}}), /Invalid panel comPins specified/);
+});
+
+
+test("flipX and flipY mirror the glass without touching the buffer", async () => {
+    const display = createDisplay({flipX:true});
+    await display.startup();
+    await display.fillRect(0, 0, 3, 2, SSD1315_WHITE).display();
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.getPixel(127, 0), 1);
+    assert.strictEqual(emulator.getPixel(0, 0), 0);
+    await display.setFlipY(true);
+    assert.strictEqual(emulator.getPixel(127, 63), 1);
+    assert.strictEqual(emulator.getPixel(127, 0), 0);
+    await display.setFlipX(false).setFlipY(false);
+    assert.strictEqual(emulator.getPixel(0, 0), 1);
+    assert.strictEqual(display.getFlipX(), false);
+    assert.strictEqual(display.getBuffer()[0], 0x03);
+});
+
+
+test("flipX on an off-center panel moves the column offset", async () => {
+    const display = createDisplay({panel:"96x16", width:96, height:16});
+    await display.startup();
+    await display.fillRect(0, 0, 1, 8, SSD1315_WHITE).display();
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.getPixel(0, 0), 1);
+    await display.setFlipX(true).display();
+    assert.strictEqual(emulator.readRam(32, 0), 0xFF);
+    assert.strictEqual(emulator.getPixel(95, 0), 1);
+    assert.strictEqual(emulator.getPixel(0, 0), 0);
+});
+
+
+test("analog options override the profile and are sent by begin()", async () => {
+    const display = createDisplay({oscillatorFrequency:0x0F, clockDivide:2, prechargePhase1:2, prechargePhase2:0x0E,
+                                   vcomh:0x30, chargePumpVoltage:9, iref:"19.5uA"});
+    await display.startup();
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.clockDiv, 0xF1);
+    assert.strictEqual(emulator.precharge, 0xE2);
+    assert.strictEqual(emulator.vcomDetect, 0x30);
+    assert.strictEqual(emulator.chargePump, 0x95);
+    assert.strictEqual(emulator.iref, 0x10);
+    assert.deepStrictEqual(display.getAnalogSettings(), {
+        oscillatorFrequency: 0x0F, clockDivide: 2, prechargePhase1: 2, prechargePhase2: 0x0E,
+        vcomh: 0x30, chargePumpVoltage: 9, iref: "19.5uA"
+    });
+});
+
+
+test("analog setters validate and update the panel", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    await display.setClock(4, 1).setPrecharge(3, 5).setVcomh(0x10).setChargePump(6).setIref("30uA");
+    assert.strictEqual(emulator.clockDiv, 0x40);
+    assert.strictEqual(emulator.precharge, 0x53);
+    assert.strictEqual(emulator.vcomDetect, 0x10);
+    assert.strictEqual(emulator.chargePump, 0x15);
+    assert.strictEqual(emulator.iref, 0x30);
+    assert.throws(() => display.setClock(16, 1), /Invalid oscillator frequency specified/);
+    assert.throws(() => display.setClock(8, 0), /Invalid clock divide ratio specified/);
+    assert.throws(() => display.setPrecharge(0, 2), /Invalid precharge period specified/);
+    assert.throws(() => display.setVcomh(0x40), /Invalid VCOMH level specified/);
+    assert.throws(() => display.setChargePump(7), /Invalid charge pump voltage specified/);
+    assert.throws(() => display.setIref("internal"), /Invalid IREF selection specified/);
+});
+
+
+test("precharge and VCOMH changes wait while the display is dimmed", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    await display.dim(true).setPrecharge(4, 4).setVcomh(0x30);
+    assert.strictEqual(emulator.precharge, 0x11);
+    assert.strictEqual(emulator.vcomDetect, 0x00);
+    await display.dim(false);
+    assert.strictEqual(emulator.precharge, 0x44);
+    assert.strictEqual(emulator.vcomDetect, 0x30);
+});
+
+
+test("charge pump voltage is rejected with EXTERNALVCC", () => {
+    assert.throws(() => createDisplay({vccSelection:0x01, chargePumpVoltage:9}), /Charge pump is not used with EXTERNALVCC/);
+    const display = createDisplay({vccSelection:0x01});
+    assert.strictEqual(display.getAnalogSettings().chargePumpVoltage, null);
+    assert.throws(() => display.setChargePump(7.5), /Charge pump is not used with EXTERNALVCC/);
+});
@@ -0,0 +1,82 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay} = require("./harness");
+const {SSD1315_Snapshot, Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+
+test("sleep and wake switch the panel and charge pump", async () => {
+    const display = createDisplay({chargePumpVoltage:8.5});
+    await display.startup();
+    const emulator = display.getEmulator();
+    await display.fillRect(0, 0, 10, 10, SSD1315_WHITE).display();
+    await display.sleep();
+    assert.strictEqual(display.isSleeping(), true);
+    assert.strictEqual(emulator.displayOn, false);
+    assert.strictEqual(emulator.chargePump, 0x10);
+    assert.strictEqual(emulator.getPixel(0, 0), 0);
+    await display.wake();
+    assert.strictEqual(display.isSleeping(), false);
+    assert.strictEqual(emulator.displayOn, true);
+    assert.strictEqual(emulator.chargePump, 0x94);
+    assert.strictEqual(emulator.getPixel(0, 0), 1);
+});
+
+
+test("wake restores the invert state and the active scroll", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    await display.invertDisplay(true).startscrollleft(0, 15, {speed:3});
+    const setup = emulator.scrollSetup;
+    await display.sleep();
+    assert.strictEqual(emulator.scrollActive, false);
+    const bytes = emulator.stats.dataBytes;
+    await display.wake();
+    assert.strictEqual(display.isInverted(), true);
+    assert.strictEqual(emulator.inverted, true);
+    assert.strictEqual(emulator.scrollActive, true);
+    assert.deepStrictEqual(emulator.scrollSetup, setup);
+    // GDDRAM is rewritten before the scroll starts again.
+    assert.strictEqual(emulator.stats.dataBytes - bytes, 128 * 8);
+});
+
+
+test("drawing while asleep shows after wake", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.sleep().fillRect(0, 0, 128, 64, SSD1315_WHITE).display();
+    await display.wake();
+    const frame = await SSD1315_Snapshot.renderPanel(display);
+    assert.ok(frame.data.every(v => v === 1));
+});
+
+
+test("idle sleep starts after the timeout and the next flush wakes", async () => {
+    const display = createDisplay({idleSleepMs:30});
+    await display.startup();
+    const emulator = display.getEmulator();
+    await wait(60);
+    await display;
+    assert.strictEqual(display.isSleeping(), true);
+    assert.strictEqual(emulator.displayOn, false);
+    await display.drawPixel(1, 1, SSD1315_WHITE).display();
+    assert.strictEqual(display.isSleeping(), false);
+    assert.strictEqual(emulator.displayOn, true);
+    assert.strictEqual(emulator.getPixel(1, 1), 1);
+    await display.setIdleSleep(0);
+    await wait(60);
+    assert.strictEqual(display.isSleeping(), false);
+    assert.throws(() => display.setIdleSleep(-1), /Invalid idle sleep timeout specified/);
+});
+
+
+test("an explicit sleep is not ended by display()", async () => {
+    const display = createDisplay({idleSleepMs:1000});
+    await display.startup();
+    await display.sleep().drawPixel(1, 1, SSD1315_WHITE).display();
+    assert.strictEqual(display.isSleeping(), true);
+    await display.shutdown();
+});
@@ -0,0 +1,132 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay} = require("./harness");
+const {Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+const delay = ms => new Promise(r => setTimeout(r, ms));
+
+
+test("display() calls within a frame are coalesced into one flush", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    display.startRenderLoop({fps: 20, onError: assert.ifError});
+    try {
+        const transfers = emulator.stats.dataTransfers;
+        for (let i = 0; i < 10; i++) {
+            display.drawPixel(i, 10, SSD1315_WHITE).display();
+        }
+        assert.strictEqual(emulator.stats.dataTransfers, transfers);
+        await delay(150);
+        await display;
+        assert.strictEqual(emulator.stats.dataTransfers - transfers, 1);
+        assert.strictEqual(emulator.getPixel(9, 10), 1);
+        const stats = display.getFrameStats();
+        assert.strictEqual(stats.frames, 1);
+        assert.strictEqual(stats.requests, 10);
+        assert.strictEqual(stats.coalesced, 9);
+        assert.strictEqual(stats.targetFps, 20);
+    } finally {
+        display.stopRenderLoop();
+    }
+});
+
+
+test("requestFrame callbacks draw right before the flush", async () => {
+    const display = createDisplay();
+    await display.startup();
+    display.startRenderLoop({fps: 50, onError: assert.ifError});
+    try {
+        const seen = [];
+        display.requestFrame((timestamp, target) => {
+            seen.push(timestamp);
+            target.fillRect(0, 0, 8, 8, SSD1315_WHITE);
+        });
+        const cancelled = display.requestFrame(() => seen.push("cancelled"));
+        display.cancelFrame(cancelled);
+        await delay(100);
+        await display;
+        assert.strictEqual(seen.length, 1);
+        assert.strictEqual(typeof seen[0], "number");
+        assert.strictEqual(display.getEmulator().getPixel(7, 7), 1);
+    } finally {
+        display.stopRenderLoop();
+    }
+});
+
+
+test("frames are reported dropped while the transport is busy", async () => {
+    const display = createDisplay();
+    await display.startup();
+    display.startRenderLoop({fps: 100, onError: assert.ifError});
+    try {
+        // Simulate a slow bus by stalling the transport queue.
+        display._chain(() => delay(120));
+        for (let i = 0; i < 8; i++) {
+            display.drawPixel(i, 0, SSD1315_WHITE).requestDisplay();
+            await delay(20);
+        }
+        await delay(50);
+        await display;
+        const stats = display.getFrameStats();
+        assert.ok(stats.dropped > 0, JSON.stringify(stats));
+        assert.ok(stats.frames >= 1, JSON.stringify(stats));
+        assert.ok(stats.maxFrameMs >= 50, JSON.stringify(stats));
+    } finally {
+        display.stopRenderLoop();
+    }
+});
+
+
+test("stopRenderLoop flushes a pending request and restores display()", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    display.startRenderLoop({fps: 1, onError: assert.ifError});
+    await display.fillRect(0, 0, 4, 4, SSD1315_WHITE).display();
+    assert.strictEqual(emulator.getPixel(0, 0), 0);
+    await display.stopRenderLoop();
+    assert.strictEqual(emulator.getPixel(0, 0), 1);
+    assert.strictEqual(display.getFrameStats(), null);
+    await display.fillRect(10, 0, 4, 4, SSD1315_WHITE).display();
+    assert.strictEqual(emulator.getPixel(10, 0), 1);
+    assert.throws(() => display.requestFrame(() => {}), /startRenderLoop/);
+    assert.throws(() => display.startRenderLoop({fps: 0}), /fps/);
+});
+
+
+test("a failing requestFrame callback stops the loop and reaches onError", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator(), errors = [];
+    display.startRenderLoop({fps: 50, onError: (err, target) => errors.push([err.message, target])});
+    display.requestFrame(() => {
+        display.fillRect(0, 0, 4, 4, SSD1315_WHITE);
+        throw new Error("draw failed");
+    });
+    await delay(60);
+    await display;
+    assert.deepStrictEqual(errors, [["draw failed", display]]);
+    assert.strictEqual(display.getFrameStats(), null);
+    assert.strictEqual(emulator.getPixel(0, 0), 0);
+
+    assert.throws(() => display.startRenderLoop({fps: 1}), /Invalid onError specified/);
+    assert.throws(() => display.startRenderLoop({onError: "log"}), /Invalid onError specified/);
+});
+
+
+test("a failing write stops the loop and reaches onError", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const errors = [];
+    display.startRenderLoop({fps: 50, onError: (err, target) => errors.push([err.message, target])});
+    const loop = display._renderLoop;
+    // Simulate a transport failure queued ahead of the frame.
+    display._chain(() => Promise.reject(new Error("bus error"))).catch(() => {});
+    display.drawPixel(0, 0, SSD1315_WHITE).requestDisplay();
+    await delay(60);
+    assert.deepStrictEqual(errors, [["bus error", display]]);
+    assert.strictEqual(loop.inFlight, false);
+    assert.strictEqual(display.getFrameStats(), null);
+});
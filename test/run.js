@@ -0,0 +1,13 @@
+'use strict';
+const fs = require("fs");
+const path = require("path");
+const {run} = require("./harness");
+
+const files = fs.readdirSync(__dirname)
+                .filter(name => name.endsWith(".test.js"))
+                .sort()
+                .map(name => path.join(__dirname, name));
+
+run(files).then(ok => {
+    process.exitCode = ok ? 0 : 1;
+});
@@ -0,0 +1,286 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay, createLazyDisplay} = require("./harness");
+const {Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+
+test("setStartLine moves the visible window with a single command", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator(), stats = emulator.stats;
+    await display.drawPixel(3, 10, SSD1315_WHITE).display();
+
+    const commands = stats.commands, transfers = stats.dataTransfers;
+    await display.setStartLine(5);
+    assert.strictEqual(stats.commands - commands, 1);
+    assert.strictEqual(stats.dataTransfers, transfers);
+    assert.strictEqual(display.getStartLine(), 5);
+    assert.strictEqual(emulator.getPixel(3, 5), 1);
+    assert.strictEqual(emulator.getPixel(3, 10), 0);
+});
+
+
+test("scrollVertical wraps around GDDRAM", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.scrollVertical(-1);
+    assert.strictEqual(display.getStartLine(), 63);
+    await display.scrollVertical(3);
+    assert.strictEqual(display.getStartLine(), 2);
+    assert.strictEqual(display.getEmulator().startLine, 2);
+});
+
+
+test("setStartLine rejects invalid lines", async () => {
+    const display = createDisplay();
+    assert.throws(() => display.setStartLine(64), /start line/);
+    assert.throws(() => display.setStartLine(-1), /start line/);
+    assert.throws(() => display.setStartLine(1.5), /start line/);
+});
+
+
+test("ticker writes new rows off-screen and scrolls them in", async () => {
+    const display = createDisplay({height: 32});
+    await display.startup();
+    await display.fillRect(0, 0, 128, 8, SSD1315_WHITE).display();
+    const emulator = display.getEmulator(), stats = emulator.stats;
+    const ticker = display.createTicker();
+    assert.strictEqual(ticker.getCapacity(), 32);
+
+    const bytes = stats.dataBytes;
+    ticker.push(8, canvas => canvas.fillRect(0, 0, 10, 8, SSD1315_WHITE));
+    await display;
+    // A single page below the visible window, nothing visible changed yet.
+    assert.strictEqual(stats.dataBytes - bytes, 128);
+    assert.strictEqual(emulator.getPixel(0, 31), 0);
+    assert.strictEqual(emulator.getPixel(20, 0), 1);
+    assert.strictEqual(ticker.getPending(), 8);
+
+    // Smooth scroll one pixel at a time.
+    for (let i = 0; i < 8; i++) {
+        ticker.step();
+    }
+    await display;
+    assert.strictEqual(ticker.getPending(), 0);
+    assert.strictEqual(display.getStartLine(), 8);
+    assert.strictEqual(emulator.getPixel(5, 24), 1);
+    assert.strictEqual(emulator.getPixel(20, 24), 0);
+    assert.strictEqual(emulator.getPixel(20, 0), 0);
+});
+
+
+test("ticker rows wrap around GDDRAM", async () => {
+    const display = createDisplay({height: 32});
+    await display.startup();
+    const emulator = display.getEmulator(), ticker = display.createTicker();
+    for (let line = 0; line < 10; line++) {
+        ticker.scroll(5, canvas => canvas.drawFastHLine(0, 2, line + 1, SSD1315_WHITE));
+    }
+    await display;
+    assert.strictEqual(display.getStartLine(), 50);
+    // The newest line is at the bottom, the one before just above it.
+    assert.strictEqual(emulator.getPixel(9, 29), 1);
+    assert.strictEqual(emulator.getPixel(10, 29), 0);
+    assert.strictEqual(emulator.getPixel(8, 24), 1);
+    assert.strictEqual(emulator.getPixel(9, 24), 0);
+    assert.throws(() => ticker.push(33, () => {}), /ticker rows/);
+});
+
+
+test("ticker pages are sent as they were when pushed", async () => {
+    const display = createLazyDisplay({height: 32});
+    await display.startup();
+    const emulator = display.getEmulator(), ticker = display.createTicker();
+    ticker.push(4, canvas => canvas.fillRect(0, 0, 1, 4, SSD1315_WHITE));
+    let ram = null;
+    display._chain(async _ => {
+        ram = emulator.readRam(0, 4);
+    });
+    ticker.push(4, canvas => canvas.fillRect(0, 0, 1, 4, SSD1315_WHITE));
+    await display;
+    assert.strictEqual(ram, 0x0F);
+    assert.strictEqual(emulator.readRam(0, 4), 0xFF);
+});
+
+
+test("ticker requires rotation 0", async () => {
+    const display = createDisplay();
+    await display.startup();
+    display.setRotation(1);
+    assert.throws(() => display.createTicker(), /rotation/);
+});
+
+
+test("hardware scroll defaults match the previous fixed setup", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.startscrollright();
+    const emulator = display.getEmulator();
+    assert.strictEqual(emulator.scrollActive, true);
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x29, params: [0x01, 0x00, 0x07, 0x07, 0x00, 0x00, 0x7F]});
+    assert.deepStrictEqual(emulator.verticalScrollArea, {top: 0, rows: 64});
+});
+
+
+test("hardware scroll options set speed, columns, offset and scroll area", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    await display.startscrolldiagleft(16, 63, {speed: 0, startColumn: 8, endColumn: 119,
+                                              verticalOffset: 3, areaTop: 16, areaRows: 48});
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x2A, params: [0x01, 0x02, 0x03, 0x07, 0x03, 0x08, 0x77]});
+    assert.deepStrictEqual(emulator.verticalScrollArea, {top: 16, rows: 48});
+
+    // Horizontal scrolling never moves rows.
+    await display.startscrollleft(0, 63, {speed: 3, verticalOffset: 5});
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x2A, params: [0x01, 0x00, 0x00, 0x07, 0x00, 0x00, 0x7F]});
+    await display.stopscroll();
+    assert.strictEqual(emulator.scrollActive, false);
+});
+
+
+test("hardware scroll options are validated against the panel", async () => {
+    const display = createDisplay({height: 32});
+    await display.startup();
+    assert.throws(() => display.startscrollright(0, 31, {speed: 8}), /speed/);
+    assert.throws(() => display.startscrollright(0, 31, {startColumn: 10, endColumn: 5}), /columns/);
+    assert.throws(() => display.startscrollright(0, 31, {endColumn: 128}), /columns/);
+    assert.throws(() => display.startscrollup(0, 31, {areaTop: 8, areaRows: 32}), /scroll area/);
+    assert.throws(() => display.startscrollup(0, 31, {verticalOffset: 64}), /vertical offset/);
+    assert.throws(() => display.startscrollup(0, 31, {areaRows: 4, verticalOffset: 4}), /vertical offset/);
+    display.setStartLine(20);
+    assert.throws(() => display.startscrollup(0, 31, {areaRows: 16}), /start line/);
+});
+
+
+test("scroll rows and directions follow the rotation", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+
+    // Upside down: logical up is the panel scrolling down (wrapping the area).
+    display.setRotation(2);
+    await display.startscrollup();
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x2A, params: [0x00, 0x00, 0x07, 0x07, 0x3F, 0x00, 0x7F]});
+    // Logical top rows are the bottom pages of the panel, scrolling left.
+    await display.startscrollright(0, 15);
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x2A, params: [0x01, 0x06, 0x07, 0x07, 0x00, 0x00, 0x7F]});
+
+    // 90 degrees: logical right is the panel scrolling down, logical up is right.
+    display.setRotation(1);
+    await display.startscrollright();
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x2A, params: [0x00, 0x00, 0x07, 0x07, 0x3F, 0x00, 0x7F]});
+    await display.startscrollup(0, 127, {startColumn: 0, endColumn: 15});
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x29, params: [0x01, 0x00, 0x07, 0x01, 0x00, 0x00, 0x7F]});
+
+    // 270 degrees: logical down is right, logical rows 0..63 of 128 are panel columns 0..63.
+    display.setRotation(3);
+    await display.startscrolldown(0, 63);
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x29, params: [0x01, 0x00, 0x07, 0x07, 0x00, 0x00, 0x3F]});
+});
+
+
+test("scroll rows and directions follow flipX and flipY", async () => {
+    const display = createDisplay({flipX: true});
+    await display.startup();
+    const emulator = display.getEmulator();
+
+    // Mirrored columns: logical left is the panel scrolling right on the far columns.
+    await display.startscrollleft(0, 15, {startColumn: 0, endColumn: 31});
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x29, params: [0x01, 0x00, 0x07, 0x01, 0x00, 0x60, 0x7F]});
+
+    // Mirrored rows: logical top rows are the bottom pages, logical up is the panel scrolling down.
+    display.setFlipX(false).setFlipY(true);
+    await display.startscrollright(0, 15);
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x29, params: [0x01, 0x06, 0x07, 0x07, 0x00, 0x00, 0x7F]});
+    await display.startscrollup(0, 63, {areaTop: 16, areaRows: 48});
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x2A, params: [0x00, 0x00, 0x07, 0x07, 0x2F, 0x00, 0x7F]});
+    assert.deepStrictEqual(emulator.verticalScrollArea, {top: 0, rows: 48});
+
+    // Mirroring undoes the rotation.
+    display.setFlipX(true).setRotation(2);
+    await display.startscrollleft(0, 15);
+    assert.deepStrictEqual(emulator.scrollSetup, {opcode: 0x2A, params: [0x01, 0x00, 0x07, 0x01, 0x00, 0x00, 0x7F]});
+    await display.stopscroll();
+});
+
+
+test("scrollContentLeft moves left on a mirrored panel", async () => {
+    const display = createDisplay({flipX: true, flipY: true});
+    await display.startup();
+    const emulator = display.getEmulator();
+    await display.drawPixel(10, 3, SSD1315_WHITE).display();
+    // Buffer (10,3) is shown at (117,60).
+    assert.strictEqual(emulator.getPixel(117, 60), 1);
+    await display.scrollContentLeft(56, 63);
+    assert.strictEqual(emulator.getPixel(116, 60), 1);
+    assert.strictEqual(emulator.getPixel(117, 60), 0);
+    // The buffer moved with the glass.
+    assert.strictEqual(display.getBuffer()[11], 0x08);
+});
+
+
+test("scrolls the panel cannot do in the current rotation are rejected", async () => {
+    const display = createDisplay();
+    await display.startup();
+    assert.throws(() => display.startscrollright(3, 10), /rows must start and end/);
+    assert.throws(() => display.startscrollleft(0, 64), /rows/);
+    display.setRotation(1);
+    assert.throws(() => display.startscrollup(0, 127, {startColumn: 3, endColumn: 10}), /rotation 1: the columns must start and end/);
+    display.setRotation(3);
+    assert.throws(() => display.startscrollleft(0, 127, {areaTop: 0, areaRows: 16}), /rotation 3/);
+});
+
+
+test("scrollContentLeft shifts the panel and the buffer by one column", async () => {
+    const display = createDisplay({shadowDiff: true});
+    await display.startup();
+    const emulator = display.getEmulator(), stats = emulator.stats;
+    await display.drawPixel(10, 3, SSD1315_WHITE).drawPixel(0, 12, SSD1315_WHITE).drawPixel(40, 20, SSD1315_WHITE).display();
+
+    await display.scrollContentLeft(0, 15);
+    assert.deepStrictEqual(emulator.scrollSetup, null);
+    assert.strictEqual(emulator.getPixel(9, 3), 1);
+    // The first column wraps around to the last one.
+    assert.strictEqual(emulator.getPixel(127, 12), 1);
+    // Rows outside of the band stay in place.
+    assert.strictEqual(emulator.getPixel(40, 20), 1);
+    const buffer = display.getBuffer(), bufferPixel = (x, y) => (buffer[x + (y >> 3) * 128] >> (y & 7)) & 1;
+    assert.strictEqual(bufferPixel(9, 3), 1);
+    assert.strictEqual(bufferPixel(10, 3), 0);
+    assert.strictEqual(bufferPixel(127, 12), 1);
+
+    // Nothing needs to be resent and the shadow still matches the panel.
+    const transfers = stats.dataTransfers, bytes = stats.dataBytes;
+    await display.display();
+    assert.strictEqual(stats.dataTransfers, transfers);
+    await display.drawPixel(50, 0, SSD1315_WHITE).drawPixel(9, 3, 0).display();
+    assert.strictEqual(stats.dataBytes - bytes, 2);
+    assert.strictEqual(emulator.getPixel(9, 3), 0);
+});
+
+
+test("scrollContentRight moves unsent drawing with the band", async () => {
+    const display = createDisplay();
+    await display.startup();
+    const emulator = display.getEmulator();
+    display.setRotation(2);
+    // Drawn but not yet displayed.
+    display.drawPixel(10, 3, SSD1315_WHITE);
+    await display.scrollContentRight(0, 7, {startColumn: 0, endColumn: 63});
+    assert.strictEqual(emulator.getPixel(127 - 11, 63 - 3), 0);
+    await display.display();
+    // Logical (11,3) is panel (116,60).
+    assert.strictEqual(emulator.getPixel(116, 60), 1);
+    assert.strictEqual(emulator.getPixel(117, 60), 0);
+});
+
+
+test("scrollContent rejects shifts the panel cannot do", async () => {
+    const display = createDisplay();
+    await display.startup();
+    assert.throws(() => display.scrollContentLeft(0, 12), /multiple of 8/);
+    display.setRotation(1);
+    assert.throws(() => display.scrollContentLeft(), /only shifts columns/);
+});
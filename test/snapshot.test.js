@@ -0,0 +1,97 @@
+'use strict';
+const assert = require("assert");
+const path = require("path");
+const {test, createDisplay} = require("./harness");
+const {SSD1315_Snapshot, Image_Codec, Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE, SSD1315_INVERSE} = Adafruit_SSD1315_Colors;
+
+const {matchSnapshot, compareFrames, formatFrameDiff} = SSD1315_Snapshot;
+const snapshot = name => path.join(__dirname, "snapshots", name);
+
+
+// Asymmetric scene so each rotation renders a distinct image.
+function drawScene(display) {
+    const w = display.width(), h = display.height();
+    return display.clearDisplay()
+                  .drawFastHLine(0, 0, w, SSD1315_WHITE)
+                  .drawFastVLine(0, 0, h, SSD1315_WHITE)
+                  .fillRect(4, 3, 9, 13, SSD1315_WHITE)
+                  .drawFastHLine(2, h - 3, 20, SSD1315_WHITE)
+                  .drawFastVLine(w - 3, 6, 11, SSD1315_WHITE)
+                  .setTextSize(1)
+                  .setTextColor(SSD1315_WHITE)
+                  .setCursor(16, 4)
+                  .print("R" + display.getRotation())
+                  .display();
+}
+
+
+test("splash is centered on 128x64", async () => {
+    const display = createDisplay({noSplash:false});
+    await display.startup();
+    await matchSnapshot(display, snapshot("splash_128x64.pbm"));
+});
+
+
+test("splash is centered on 128x32", async () => {
+    const display = createDisplay({height:32, noSplash:false});
+    await display.startup();
+    await matchSnapshot(display, snapshot("splash_128x32.pbm"));
+});
+
+
+for (const rotation of [0, 1, 2, 3]) {
+    test("lines and text in rotation " + rotation, async () => {
+        const display = createDisplay({rotation});
+        await display.startup();
+        await drawScene(display);
+        await matchSnapshot(display, snapshot("scene_rotation" + rotation + ".pbm"));
+    });
+}
+
+
+test("inverse fill crosses page boundaries", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.fillRect(10, 5, 30, 20, SSD1315_WHITE)
+                 .fillRect(20, 10, 30, 30, SSD1315_INVERSE)
+                 .display();
+    await matchSnapshot(display, snapshot("inverse_fill.pbm"));
+});
+
+
+test("invertDisplay and enableDisplay are reflected on the glass", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await drawScene(display);
+    const normal = await SSD1315_Snapshot.renderPanel(display);
+    await display.invertDisplay(true);
+    const inverted = await SSD1315_Snapshot.renderPanel(display);
+    assert.strictEqual(compareFrames(inverted, normal).count, 128 * 64);
+    await display.enableDisplay(false);
+    const off = await SSD1315_Snapshot.renderPanel(display);
+    assert.ok(off.data.every(v => v === 0));
+});
+
+
+test("mismatch reports a readable pixel diff", async () => {
+    const display = createDisplay();
+    await display.startup();
+    await display.drawPixel(3, 2, SSD1315_WHITE).display();
+    const actual = await SSD1315_Snapshot.renderPanel(display);
+    const expected = {width: 128, height: 64, data: new Uint8Array(128 * 64)};
+    expected.data[2 * 128 + 4] = 1;
+    const text = formatFrameDiff(actual, expected);
+    assert.ok(/^2 pixel\(s\) differ within \(3,2\)-\(4,2\)/.test(text), text);
+    assert.ok(text.split("\n").indexOf("..+-..") > 0, text);
+});
+
+
+test("PNG and PBM round trip", () => {
+    const frame = {width: 13, height: 5, data: new Uint8Array(13 * 5)};
+    [0, 7, 8, 12, 20, 33, 64].forEach(i => frame.data[i] = 1);
+    for (const encoded of [Image_Codec.encodePNG(frame), Image_Codec.encodePBM(frame), Image_Codec.encodePBM(frame, true)]) {
+        const decoded = Image_Codec.imageToFrame(Image_Codec.decodeImage(encoded));
+        assert.ok(compareFrames(decoded, frame).equal);
+    }
+});
@@ -0,0 +1,88 @@
+'use strict';
+const assert = require("assert");
+const {test, createDisplay} = require("./harness");
+const {Image_Codec, Adafruit_SSD1315_Colors} = require("../index");
+const {SSD1315_WHITE} = Adafruit_SSD1315_Colors;
+
+// 8x2 row bitmap with the top row lit.
+const bar = {width:8, height:2, data:[0xFF, 0x00]};
+const litPixels = emulator => {
+    const lit = [];
+    for (let y = 0; y < 64; y++) {
+        for (let x = 0; x < 128; x++) {
+            emulator.getPixel(x, y) && lit.push([x, y]);
+        }
+    }
+    return lit;
+};
+
+
+test("splash bitmap is centered or placed at splashX/splashY", async () => {
+    const centered = createDisplay({noSplash:false, splash:bar});
+    await centered.startup();
+    assert.deepStrictEqual(litPixels(centered.getEmulator()), [60, 61, 62, 63, 64, 65, 66, 67].map(x => [x, 31]));
+    const placed = createDisplay({noSplash:false, splash:{logo_width:8, logo_height:2, logo_data:bar.data}, splashX:0, splashY:5});
+    await placed.startup();
+    assert.deepStrictEqual(litPixels(placed.getEmulator()), [0, 1, 2, 3, 4, 5, 6, 7].map(x => [x, 5]));
+    assert.strictEqual(placed.getEmulator().displayOn, true);
+});
+
+
+test("splash accepts image files and draw functions", async () => {
+    const image = Image_Codec.encodePNG({width:2, height:2, data:Uint8Array.from([1, 0, 0, 1])});
+    const fromImage = createDisplay({noSplash:false, splash:image, splashX:3, splashY:4});
+    await fromImage.startup();
+    assert.deepStrictEqual(litPixels(fromImage.getEmulator()), [[3, 4], [4, 5]]);
+    const drawn = createDisplay({noSplash:false, splash:display => display.drawPixel(7, 9, SSD1315_WHITE)});
+    await drawn.startup();
+    assert.deepStrictEqual(litPixels(drawn.getEmulator()), [[7, 9]]);
+});
+
+
+test("noSplash wins over splash", async () => {
+    const display = createDisplay({splash:bar});
+    await display.startup();
+    assert.deepStrictEqual(litPixels(display.getEmulator()), []);
+});
+
+
+test("animated splash plays once and stays on the last frame", async () => {
+    const frames = [
+        {image: display => display.drawPixel(0, 0, SSD1315_WHITE), durationMs:30},
+        {image: display => display.drawPixel(1, 0, SSD1315_WHITE), durationMs:30}
+    ];
+    const display = createDisplay({noSplash:false, splash:frames});
+    const start = Date.now();
+    await display.startup();
+    assert.ok(Date.now() - start >= 55, "startup took " + (Date.now() - start) + "ms");
+    assert.deepStrictEqual(litPixels(display.getEmulator()), [[1, 0]]);
+    // The buffer matches the panel so drawing continues from the last frame.
+    await display.drawPixel(2, 0, SSD1315_WHITE).display();
+    assert.deepStrictEqual(litPixels(display.getEmulator()), [[1, 0], [2, 0]]);
+});
+
+
+test("splashDurationMs clears the screen after the splash", async () => {
+    const display = createDisplay({noSplash:false, splash:bar, splashDurationMs:40});
+    const start = Date.now();
+    await display.startup();
+    assert.ok(Date.now() - start >= 35, "startup took " + (Date.now() - start) + "ms");
+    assert.deepStrictEqual(litPixels(display.getEmulator()), []);
+    assert.strictEqual(display.getEmulator().displayOn, true);
+
+    const doubleBuffered = createDisplay({noSplash:false, splash:[{image:bar, durationMs:10}], splashDurationMs:25, doubleBuffer:true});
+    await doubleBuffered.startup();
+    assert.deepStrictEqual(litPixels(doubleBuffered.getEmulator()), []);
+    await doubleBuffered.drawPixel(4, 4, SSD1315_WHITE).swapBuffers();
+    assert.deepStrictEqual(litPixels(doubleBuffered.getEmulator()), [[4, 4]]);
+});
+
+
+test("splash options are validated", () => {
+    assert.throws(() => createDisplay({splash:{width:8, height:2, data:[0]}}), /Invalid splash specified/);
+    assert.throws(() => createDisplay({splash:[]}), /Invalid splash specified/);
+    assert.throws(() => createDisplay({splash:[bar]}), /Invalid splash frame specified/);
+    assert.throws(() => createDisplay({splash:[{image:bar, durationMs:0}]}), /Invalid splash frame duration specified/);
+    assert.throws(() => createDisplay({splashDurationMs:-1}), /Invalid splash duration specified/);
+    assert.throws(() => createDisplay({splashX:1.5}), /Invalid splash position specified/);
+});